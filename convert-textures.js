@@ -1,41 +1,197 @@
-
 import sharp from 'sharp';
 import fs from 'fs';
 import path from 'path';
+import crypto from 'crypto';
+import process from 'process';
 import { fileURLToPath } from 'url';
 
+/**
+ * Texture Pipeline - PNG / JPG / WebP sources -> WebP in public/
+ *
+ * Sources live in their own folder (sourceDir, same layout as public/) and are never touched.
+ * The generated files in public/ are committed - re-run after adding or changing a source,
+ * then `npm run assets` to record the variants in the asset manifest.
+ * Each source becomes one WebP per variant for the performance tiers:
+ *   texture-sources/textures/gallery/bird.png -> public/textures/gallery/bird.webp (full)
+ *                                              public/textures/gallery/bird.half.webp
+ *                                              public/textures/gallery/bird.quarter.webp
+ * Quality / alpha rules per folder come from convert-textures.config.json (longest folder match wins):
+ * - quality, alphaQuality: WebP quality for colour / alpha
+ * - alpha: 'keep' or 'drop' (flatten onto background - for textures that don't need transparency)
+ * - lossless: lossless WebP (cursors, line art)
+ * - variants: which of full / half / quarter to emit
+ * WebP sources are copied as they are for the full variant (re-encoding would only lose quality)
+ * unless their folder drops alpha; the half / quarter variants are encoded like any other source.
+ * Unchanged sources (same content + same settings) are skipped using a hash cache (cacheFile).
+ *
+ * Usage: node convert-textures.js [--dry-run] [--force]
+ *   --dry-run  convert every source in memory (hash cache ignored) and print the size savings
+ *   --force    ignore the hash cache
+ */
+
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const rootDir = path.resolve(__dirname, 'public');
+const config = JSON.parse(fs.readFileSync(path.resolve(__dirname, 'convert-textures.config.json'), 'utf8'));
+
+const sourceDir = path.resolve(__dirname, config.sourceDir);
+const outputDir = path.resolve(__dirname, config.outputDir);
+const cachePath = path.resolve(__dirname, config.cacheFile);
+
+const dryRun = process.argv.includes('--dry-run');
+const force = process.argv.includes('--force');
+
+const SOURCE_EXTENSIONS = new Set(['.png', '.jpg', '.jpeg', '.webp']);
+const VARIANT_SCALES = { full: 1, half: 0.5, quarter: 0.25 };
+
+function listSources(directory) {
+    return fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) return listSources(fullPath);
+        return SOURCE_EXTENSIONS.has(path.extname(entry.name).toLowerCase()) ? [fullPath] : [];
+    });
+}
+
+// Defaults + the most specific matching folder rule
+function settingsFor(relativePath) {
+    const folder = Object.keys(config.folders)
+        .filter((prefix) => relativePath.startsWith(prefix + '/'))
+        .sort((a, b) => b.length - a.length)[0];
+
+    return { ...config.defaults, ...(folder ? config.folders[folder] : {}) };
+}
+
+// full -> name.webp, half -> name.half.webp
+function variantPath(relativePath, variant) {
+    const base = relativePath.replace(/\.(png|jpe?g|webp)$/i, '');
+    return variant === 'full' ? `${base}.webp` : `${base}.${variant}.webp`;
+}
+
+async function convert(buffer, settings, variant, isWebp) {
+    if (isWebp && variant === 'full' && settings.alpha !== 'drop') {
+        return buffer;
+    }
+
+    let image = sharp(buffer);
+    const { width } = await image.metadata();
+
+    const scale = VARIANT_SCALES[variant];
+    if (scale < 1) {
+        image = image.resize({ width: Math.max(1, Math.round(width * scale)) });
+    }
+
+    if (settings.alpha === 'drop') {
+        image = image.flatten({ background: settings.background });
+    }
+
+    return image
+        .webp({
+            quality: settings.quality,
+            alphaQuality: settings.alphaQuality,
+            lossless: settings.lossless === true,
+        })
+        .toBuffer();
+}
+
+function formatBytes(bytes) {
+    if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(2)} MB`;
+    return `${(bytes / 1024).toFixed(1)} KB`;
+}
+
+function readCache() {
+    // A dry run reports what every source would save, not just the changed ones
+    if (force || dryRun || !fs.existsSync(cachePath)) return {};
+    try {
+        return JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+    } catch {
+        return {};
+    }
+}
+
+async function run() {
+    if (!fs.existsSync(sourceDir)) {
+        console.error(`Source folder not found: ${path.relative(__dirname, sourceDir)}`);
+        console.error('Put the PNG / JPG originals there (same layout as public/).');
+        process.exitCode = 1;
+        return;
+    }
+
+    // bird.png + bird.jpg would both write bird.webp
+    const sources = listSources(sourceDir).map((fullPath) => path.relative(sourceDir, fullPath).split(path.sep).join('/'));
+    const byOutput = new Map();
+    for (const relativePath of sources) {
+        const output = variantPath(relativePath, 'full');
+        if (byOutput.has(output)) {
+            console.error(`${byOutput.get(output)} and ${relativePath} both convert to ${output} - keep one of them`);
+            process.exitCode = 1;
+            return;
+        }
+        byOutput.set(output, relativePath);
+    }
+
+    const cache = readCache();
+    const nextCache = {};
+    let converted = 0;
+    let skipped = 0;
+    let sourceTotal = 0;
+    let outputTotal = 0;
 
-async function processDirectory(directory) {
-    const files = fs.readdirSync(directory);
+    console.log(dryRun ? 'Dry run - nothing is written.' : 'Starting conversion...');
 
-    for (const file of files) {
-        const fullPath = path.join(directory, file);
-        const stat = fs.statSync(fullPath);
+    for (const relativePath of sources) {
+        const settings = settingsFor(relativePath);
+        const buffer = fs.readFileSync(path.join(sourceDir, relativePath));
+        const isWebp = path.extname(relativePath).toLowerCase() === '.webp';
 
-        if (stat.isDirectory()) {
-            await processDirectory(fullPath);
-        } else if (path.extname(file).toLowerCase() === '.png') {
-            const webpPath = fullPath.replace(/\.png$/i, '.webp');
-            console.log(`Converting: ${fullPath} -> ${webpPath}`);
+        // Same content + same settings + outputs still there -> nothing to do
+        const hash = crypto.createHash('sha256').update(buffer).update(JSON.stringify(settings)).digest('hex');
+        const outputs = settings.variants.map((variant) => variantPath(relativePath, variant));
+        const upToDate = cache[relativePath]?.hash === hash
+            && outputs.every((output) => fs.existsSync(path.join(outputDir, output)));
 
+        if (upToDate) {
+            nextCache[relativePath] = cache[relativePath];
+            skipped++;
+            continue;
+        }
+
+        const sizes = [];
+        for (const variant of settings.variants) {
             try {
-                await sharp(fullPath)
-                    .webp({ quality: 80 }) // consistent quality
-                    .toFile(webpPath);
+                const output = await convert(buffer, settings, variant, isWebp);
+                const outputPath = path.join(outputDir, variantPath(relativePath, variant));
+                sizes.push(`${variant} ${formatBytes(output.length)}`);
+
+                if (variant === 'full') {
+                    sourceTotal += buffer.length;
+                    outputTotal += output.length;
+                }
 
-                fs.unlinkSync(fullPath);
-                console.log(`Deleted: ${fullPath}`);
+                if (!dryRun) {
+                    fs.mkdirSync(path.dirname(outputPath), { recursive: true });
+                    fs.writeFileSync(outputPath, output);
+                }
             } catch (err) {
-                console.error(`Error converting ${fullPath}:`, err);
+                console.error(`Error converting ${relativePath} (${variant}):`, err);
             }
         }
+
+        console.log(`${relativePath} ${formatBytes(buffer.length)} -> ${sizes.join(', ')}`);
+        nextCache[relativePath] = { hash, outputs };
+        converted++;
+    }
+
+    const saved = sourceTotal - outputTotal;
+    const percent = sourceTotal > 0 ? Math.round((saved / sourceTotal) * 100) : 0;
+    console.log(`${converted} converted, ${skipped} unchanged (skipped)`);
+    if (converted > 0) {
+        console.log(`Full size: ${formatBytes(sourceTotal)} -> ${formatBytes(outputTotal)} (saves ${formatBytes(saved)}, ${percent}%)`);
+    }
+
+    if (!dryRun) {
+        fs.writeFileSync(cachePath, JSON.stringify(nextCache, null, 4) + '\n');
+        console.log('Conversion complete.');
     }
 }
 
-console.log('Starting conversion...');
-await processDirectory(rootDir);
-console.log('Conversion complete.');
+await run();
@@ -0,0 +1,179 @@
+import sharp from 'sharp';
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+import process from 'process';
+import { fileURLToPath } from 'url';
+
+/**
+ * Asset Scanner - every public/ file referenced from src/ (and index.html)
+ *
+ * - Fails (exit 1 / build error) when a referenced asset doesn't exist in public/
+ * - Reports public/ files nothing references (leftover _ORIGINAL / _backup exports etc.)
+ * - Writes src/config/assetManifest.json: size, dimensions and content hash per asset,
+ *   the size variants convert-textures.js emitted for it (half / quarter, read by loading/textureVariants.js),
+ *   plus the preload lists (entrance / corridor / ui) read by texturePreloadList.js
+ *
+ * Run: npm run assets - `vite build` runs the same scan read-only (see vite.config.js) and stops
+ * on missing assets or a manifest that no longer matches public/ and src/
+ */
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const publicDir = path.resolve(__dirname, 'public');
+const srcDir = path.resolve(__dirname, 'src');
+const manifestPath = path.resolve(srcDir, 'config/assetManifest.json');
+
+// Files scanned for references besides src/
+const EXTRA_SOURCES = [path.resolve(__dirname, 'index.html')];
+const SOURCE_EXTENSIONS = new Set(['.js', '.jsx', '.css', '.scss', '.html']);
+
+// '/textures/a.webp', "/fonts/b.ttf", url(/cursors/c.webp) ... - template paths with ${} are skipped
+const ASSET_PATTERN = /['"`(](\/[\w\-./]+\.(?:webp|png|jpe?g|svg|ttf|otf|woff2?))(?=['"`)])/g;
+const IMAGE_EXTENSIONS = new Set(['.webp', '.png', '.jpg', '.jpeg', '.svg']);
+
+// Preload groups - images referenced from these sources (first match wins)
+// Rooms aren't here: they're prefetched near their door (useRoomPrefetch)
+const PRELOAD_GROUPS = {
+    entrance: ['components/canvas/entrance/'],
+    corridor: ['components/canvas/corridor/', 'components/canvas/background/', 'config/rooms.js'],
+    ui: ['components/ui/', 'components/dom/'],
+};
+// Loaded by CSS / troika, not as textures
+const PRELOAD_EXCLUDE = ['/cursors/', '/fonts/'];
+
+// Size variants written by convert-textures.js next to the full-size file
+const VARIANTS = ['half', 'quarter'];
+// '/textures/a.webp' + 'half' -> '/textures/a.half.webp' (same naming as loading/textureVariants.js)
+const variantPath = (assetPath, variant) => assetPath.replace(/\.[^./]+$/, `.${variant}.webp`);
+
+const listFiles = (directory) => fs.readdirSync(directory, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(directory, entry.name);
+    return entry.isDirectory() ? listFiles(fullPath) : [fullPath];
+});
+
+// asset path -> Set of source files (relative to src/) referencing it
+const findReferences = () => {
+    const references = new Map();
+    const sources = [
+        ...listFiles(srcDir).filter((file) => SOURCE_EXTENSIONS.has(path.extname(file)) && file !== manifestPath),
+        ...EXTRA_SOURCES,
+    ];
+
+    for (const file of sources) {
+        const content = fs.readFileSync(file, 'utf8');
+        const relative = path.relative(srcDir, file).split(path.sep).join('/');
+
+        for (const [, assetPath] of content.matchAll(ASSET_PATTERN)) {
+            if (!references.has(assetPath)) references.set(assetPath, new Set());
+            references.get(assetPath).add(relative);
+        }
+    }
+
+    return references;
+};
+
+const describeAsset = async (assetPath, publicFiles) => {
+    const fullPath = path.join(publicDir, assetPath);
+    const buffer = fs.readFileSync(fullPath);
+    const entry = {
+        bytes: buffer.length,
+        hash: crypto.createHash('sha256').update(buffer).digest('hex').slice(0, 16),
+    };
+
+    if (IMAGE_EXTENSIONS.has(path.extname(assetPath).toLowerCase())) {
+        try {
+            const { width, height } = await sharp(buffer).metadata();
+            Object.assign(entry, { width, height });
+        } catch (err) {
+            console.warn(`Could not read dimensions of ${assetPath}:`, err.message);
+        }
+    }
+
+    const variants = VARIANTS.filter((variant) => publicFiles.has(variantPath(assetPath, variant)));
+    if (variants.length > 0) entry.variants = variants;
+
+    return entry;
+};
+
+const buildPreloadLists = (references, existing) => {
+    const lists = Object.fromEntries(Object.keys(PRELOAD_GROUPS).map((group) => [group, []]));
+
+    [...references.keys()].sort().forEach((assetPath) => {
+        if (!existing.has(assetPath)) return;
+        if (!IMAGE_EXTENSIONS.has(path.extname(assetPath).toLowerCase())) return;
+        if (PRELOAD_EXCLUDE.some((prefix) => assetPath.startsWith(prefix))) return;
+
+        const sources = [...references.get(assetPath)];
+        const group = Object.keys(PRELOAD_GROUPS).find((name) =>
+            PRELOAD_GROUPS[name].some((prefix) => sources.some((source) => source.startsWith(prefix)))
+        );
+        if (group) lists[group].push(assetPath);
+    });
+
+    return lists;
+};
+
+// { missing, unused, manifest, stale } - stale: the manifest on disk differs from this scan
+export async function scanAssets({ write = false } = {}) {
+    const references = findReferences();
+    const publicFiles = new Set(
+        listFiles(publicDir).map((file) => '/' + path.relative(publicDir, file).split(path.sep).join('/'))
+    );
+
+    const referenced = [...references.keys()].sort();
+    const existing = new Set(referenced.filter((assetPath) => publicFiles.has(assetPath)));
+
+    const missing = referenced
+        .filter((assetPath) => !existing.has(assetPath))
+        .map((assetPath) => ({ path: assetPath, usedBy: [...references.get(assetPath)].sort() }));
+    // Variants are picked at runtime, so they count as used when their full-size asset is
+    const variantFiles = new Set([...existing].flatMap((assetPath) => VARIANTS.map((variant) => variantPath(assetPath, variant))));
+    const unused = [...publicFiles].filter((file) => !references.has(file) && !variantFiles.has(file)).sort();
+
+    const assets = {};
+    for (const assetPath of existing) {
+        assets[assetPath] = await describeAsset(assetPath, publicFiles);
+    }
+
+    const manifest = {
+        _generated: 'by scan-assets.js - do not edit, run `npm run assets`',
+        assets,
+        preload: buildPreloadLists(references, existing),
+    };
+
+    const content = JSON.stringify(manifest, null, 4) + '\n';
+    const stale = !fs.existsSync(manifestPath) || fs.readFileSync(manifestPath, 'utf8') !== content;
+    if (write && stale) {
+        fs.writeFileSync(manifestPath, content);
+    }
+
+    return { missing, unused, manifest, stale };
+}
+
+export function formatScanReport({ missing, unused, manifest }) {
+    const lines = [`Assets: ${Object.keys(manifest.assets).length} referenced and present`];
+
+    if (unused.length > 0) {
+        lines.push(`Unused in public/ (${unused.length}):`, ...unused.map((file) => `  ${file}`));
+    }
+    if (missing.length > 0) {
+        lines.push(
+            `MISSING (${missing.length}):`,
+            ...missing.map(({ path: assetPath, usedBy }) => `  ${assetPath} (${usedBy.join(', ')})`)
+        );
+    }
+
+    return lines.join('\n');
+}
+
+// CLI
+if (process.argv[1] === __filename) {
+    const result = await scanAssets({ write: true });
+    console.log(formatScanReport(result));
+    console.log(result.stale
+        ? `Manifest written to ${path.relative(__dirname, manifestPath)}`
+        : `Manifest ${path.relative(__dirname, manifestPath)} is up to date`);
+    if (result.missing.length > 0) process.exitCode = 1;
+}
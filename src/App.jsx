@@ -1,25 +1,59 @@
-import { useState, Suspense, useEffect, useCallback, useLayoutEffect, lazy } from 'react';
+import { useState, Suspense, useEffect, useCallback, useLayoutEffect, useSyncExternalStore, lazy } from 'react';
+import { BrowserRouter } from 'react-router-dom';
 import { Canvas } from '@react-three/fiber';
-import { Preload, useTexture, Text, PerformanceMonitor } from '@react-three/drei';
+import { Text } from '@react-three/drei';
 
 import Preloader from './components/dom/Preloader';
 import PaperTransition from './components/dom/PaperTransition';
+import SceneWarmup from './components/canvas/SceneWarmup';
+import TierMonitor from './components/canvas/TierMonitor';
+import RenderScheduler from './components/canvas/RenderScheduler';
 import { AudioProvider, useAudio } from './context/AudioManager';
 import { PerformanceProvider, usePerformance } from './context/PerformanceContext';
 import { SceneProvider } from './context/SceneContext';
+import { JourneyProvider } from './context/JourneyContext';
 import NavigationUI from './components/ui/NavigationUI';
 import GlobalOverlay from './components/ui/GlobalOverlay';
+import JourneyPanel from './components/ui/JourneyPanel';
+import CameraDebug from './components/ui/CameraDebug';
+import AnimationDebug from './components/ui/AnimationDebug';
+import PrefetchDebug from './components/ui/PrefetchDebug';
+import useSceneRouting from './hooks/useSceneRouting';
+import useSkipIntro from './hooks/useSkipIntro';
 
-// Lazy load the heavy 3D experience
-const Experience = lazy(() => import('./components/canvas/Experience'));
+// Lazy load the heavy 3D experience (chunk requested alongside the textures below)
+const loadExperience = () => import('./components/canvas/Experience');
+const Experience = lazy(loadExperience);
+loadExperience();
 
 import './styles/main.scss';
 
 // --- BATCH ASSET PRELOADING ---
-// This preloads ALL entrance and corridor textures during the preloader phase
-// Room textures are NOT preloaded - they load on-demand when user clicks a door
-import { PRELOAD_ALL } from './config/texturePreloadList';
-PRELOAD_ALL.forEach(path => useTexture.preload(path));
+// This downloads ALL entrance and corridor textures during the preloader phase (byte progress, one retry)
+// The scene mounts once they're in memory, so useTexture decodes them without a second request
+// Room textures are NOT preloaded - they are prefetched as the camera nears a door (useRoomPrefetch)
+// Scene textures come in the starting tier's size variant - the one useTierTexture will ask for
+// (the quality saved in the graphics settings, else device heuristics + the GPU tier cached on an earlier visit)
+import { ENTRANCE_TEXTURES, CORRIDOR_TEXTURES, UI_TEXTURES } from './config/texturePreloadList';
+import { TIER_SETTINGS, readGraphicsPreferences } from './config/performance';
+import { estimateStartingTier } from './performance/gpuBenchmark';
+import { resolveTextures } from './loading/textureVariants';
+import { loadAssetGroups, releaseAssets, subscribeAssetProgress, getAssetProgress } from './loading/assetLoader';
+const SAVED_QUALITY = readGraphicsPreferences().quality;
+const PRELOAD_TIER = TIER_SETTINGS[SAVED_QUALITY] ? SAVED_QUALITY : estimateStartingTier();
+const PRELOAD_QUALITY = TIER_SETTINGS[PRELOAD_TIER].textureQuality;
+loadAssetGroups({
+  entrance: resolveTextures(ENTRANCE_TEXTURES, PRELOAD_QUALITY),
+  corridor: resolveTextures(CORRIDOR_TEXTURES, PRELOAD_QUALITY),
+  ui: UI_TEXTURES,
+});
+
+// UX review tools - record / replay visitor journeys (?journey)
+const SHOW_JOURNEY_TOOLS = new URLSearchParams(window.location.search).has('journey');
+// Camera owner readout (?cameraDebug)
+const SHOW_CAMERA_DEBUG = new URLSearchParams(window.location.search).has('cameraDebug');
+// GSAP slow motion / pause (?animationDebug)
+const SHOW_ANIMATION_DEBUG = new URLSearchParams(window.location.search).has('animationDebug');
 
 const FONT_URL = 'https://fonts.gstatic.com/s/inter/v12/UcCO3FwrK3iLTeHuS_fvQtMwCp50KnMw2boKoduKmMEVuLyfAZ9hjp-Ek-_EeA.woff';
 
@@ -40,12 +74,27 @@ const GlobalAudioEnabler = () => {
   return null;
 };
 
+// Helper component to keep the URL and the scene in sync
+const SceneRouteSync = () => {
+  useSceneRouting();
+  return null;
+};
+
 function AppContent() {
   const [isLoaded, setIsLoaded] = useState(false);
   const [sceneReady, setSceneReady] = useState(false);
+  const [warmupProgress, setWarmupProgress] = useState(0); // Textures uploaded + shaders compiled (0-1)
+  const assets = useSyncExternalStore(subscribeAssetProgress, getAssetProgress);
+  const { skipIntro, requestSkip } = useSkipIntro();
 
   // Use Performance Context
-  const { settings, downgradeTier, tier } = usePerformance();
+  const { settings, tier, isDetecting } = usePerformance();
+
+  // Paper torn open - textures are decoded by now, drop the downloaded blobs
+  const handlePreloaderComplete = useCallback(() => {
+    setIsLoaded(true);
+    releaseAssets();
+  }, []);
 
   const handleSceneReady = useCallback(() => {
     requestAnimationFrame(() => {
@@ -56,63 +105,79 @@ function AppContent() {
   return (
     <AudioProvider>
       <SceneProvider>
-        <GlobalAudioEnabler />
-        <div className="app">
-          {/* Full screen 3D Canvas */}
-          <div className="canvas-wrapper">
-            <Canvas
-              camera={{
-                position: [0, 0.2, 28],
-                fov: 60,
-                near: 0.1,
-                far: 150
-              }}
-              gl={{
-                antialias: settings.antialias,
-                alpha: false,
-                powerPreference: settings.powerPreference,
-                localClippingEnabled: true,
-                failIfMajorPerformanceCaveat: true
-              }}
-              dpr={settings.dpr}
-              shadows={settings.shadows}
-            >
-              <color attach="background" args={['#fafafa']} />
-              <fog attach="fog" args={['#fafafa', 15, 50]} />
-
-              {/* Scale performance down if fps drops */}
-              <PerformanceMonitor
-                onDecline={() => downgradeTier()}
-                flipflops={3}
-                onFallback={() => downgradeTier()}
-              />
-
-              <Suspense fallback={null}>
-                <Experience
-                  isLoaded={isLoaded}
-                  onSceneReady={handleSceneReady}
-                  performanceTier={tier}
-                />
-                <Preload all />
-              </Suspense>
-            </Canvas>
-          </div>
+        <JourneyProvider>
+          <GlobalAudioEnabler />
+          <SceneRouteSync />
+          <div className="app">
+            {/* Full screen 3D Canvas */}
+            <div className="canvas-wrapper">
+              <Canvas
+                camera={{
+                  position: [0, 0.2, 28],
+                  fov: 60,
+                  near: 0.1,
+                  far: 150
+                }}
+                gl={{
+                  antialias: settings.antialias,
+                  alpha: false,
+                  powerPreference: settings.powerPreference,
+                  localClippingEnabled: true,
+                  failIfMajorPerformanceCaveat: true
+                }}
+                dpr={settings.dpr}
+                shadows={settings.shadows}
+                frameloop="demand"
+              >
+                <color attach="background" args={['#fafafa']} />
+                <fog attach="fog" args={['#fafafa', 15, 50]} />
 
-          {/* Navigation UI - Hamburger, Map, Back, Audio */}
-          {isLoaded && (
-            <>
-              <NavigationUI />
-              <GlobalOverlay />
-              <PaperTransition />
-            </>
-          )}
-
-          {/* 2D Preloader */}
-          <Preloader
-            ready={sceneReady}
-            onComplete={() => setIsLoaded(true)}
-          />
-        </div>
+                {/* Full frame rate while something moves, ambient loops' rate when idle */}
+                <RenderScheduler awake={!isLoaded} />
+
+                {/* Tier down on sustained low fps, back up on sustained high fps (not while loading) */}
+                <TierMonitor paused={!isLoaded} />
+
+                {/* Mounted once the preload textures are downloaded (or failed) */}
+                {assets.done && (
+                  <Suspense fallback={null}>
+                    <Experience
+                      isLoaded={isLoaded}
+                      onSceneReady={handleSceneReady}
+                      performanceTier={tier}
+                      skipIntro={skipIntro}
+                    />
+                    <SceneWarmup onProgress={setWarmupProgress} />
+                  </Suspense>
+                )}
+              </Canvas>
+            </div>
+
+            {/* Navigation UI - Hamburger, Map, Back, Audio */}
+            {isLoaded && (
+              <>
+                <NavigationUI />
+                <GlobalOverlay />
+                {SHOW_JOURNEY_TOOLS && <JourneyPanel />}
+                {SHOW_CAMERA_DEBUG && <CameraDebug />}
+                {SHOW_ANIMATION_DEBUG && <AnimationDebug />}
+                {import.meta.env.DEV && <PrefetchDebug tier={tier} />}
+              </>
+            )}
+
+            {/* Paper transition - mounted early so deep links start behind the preloader */}
+            <PaperTransition ready={isLoaded} />
+
+            {/* 2D Preloader */}
+            <Preloader
+              ready={sceneReady && warmupProgress >= 1 && !isDetecting}
+              warmup={warmupProgress}
+              onComplete={handlePreloaderComplete}
+              skipIntro={skipIntro}
+              onSkipIntro={requestSkip}
+            />
+          </div>
+        </JourneyProvider>
       </SceneProvider>
     </AudioProvider>
   );
@@ -120,8 +185,10 @@ function AppContent() {
 
 export default function App() {
   return (
-    <PerformanceProvider>
-      <AppContent />
-    </PerformanceProvider>
+    <BrowserRouter>
+      <PerformanceProvider>
+        <AppContent />
+      </PerformanceProvider>
+    </BrowserRouter>
   );
 }
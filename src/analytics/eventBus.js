@@ -0,0 +1,61 @@
+/**
+ * Analytics Event Bus
+ *
+ * track(type, payload) fans an event out to every registered sink.
+ * Plain module (no React) so contexts, hooks and GSAP callbacks can all emit.
+ *
+ * Event: { type, payload, time }
+ * Sink:  { name, handle(event), flush?(), dispose?() } - see sinks.js
+ */
+
+export const ANALYTICS_EVENTS = {
+    ENTRANCE_OPENED: 'entrance_opened',               // Entrance doors passed (or skipped)
+    CORRIDOR_DEPTH_REACHED: 'corridor_depth_reached', // { segment } - deepest segment so far
+    DOOR_HOVERED: 'door_hovered',                     // { room }
+    DOOR_ENTERED: 'door_entered',                     // { room, viaTeleport }
+    ROOM_EXITED: 'room_exited',                       // { room }
+    TELEPORT_STARTED: 'teleport_started',             // { from, to, deepLink }
+    TELEPORT_COMPLETED: 'teleport_completed',         // { room }
+    TELEPORT_CANCELLED: 'teleport_cancelled',         // { room }
+    OVERLAY_OPENED: 'overlay_opened',                 // { room, id }
+    GALLERY_CARD_FLIPPED: 'gallery_card_flipped',     // { projectId, selected }
+    CONTACT_PHASE_CHANGED: 'contact_phase_changed',   // { phase }
+    PERFORMANCE_TIER_CHANGED: 'performance_tier_changed', // { from, to, reason }
+    ASSET_FAILED: 'asset_failed',                     // { url, group } - after the retry
+};
+
+const KNOWN_TYPES = new Set(Object.values(ANALYTICS_EVENTS));
+
+const sinks = new Set();
+
+// Register a sink - returns a function that removes (and disposes) it
+export const addSink = (sink) => {
+    sinks.add(sink);
+    return () => {
+        sinks.delete(sink);
+        sink.dispose?.();
+    };
+};
+
+export const track = (type, payload = {}) => {
+    if (!KNOWN_TYPES.has(type)) {
+        if (import.meta.env.DEV) console.warn(`[Analytics] Unknown event type '${type}'`);
+        return;
+    }
+
+    const event = { type, payload, time: Date.now() };
+
+    sinks.forEach((sink) => {
+        // A broken sink must never break the scene
+        try {
+            sink.handle(event);
+        } catch (error) {
+            if (import.meta.env.DEV) console.warn(`[Analytics] Sink '${sink.name}' failed`, error);
+        }
+    });
+};
+
+// Push out anything sinks are holding (e.g. before navigating away)
+export const flushAnalytics = () => {
+    sinks.forEach((sink) => sink.flush?.());
+};
@@ -0,0 +1,26 @@
+import { addSink } from './eventBus';
+import { createConsoleSink, createBeaconSink } from './sinks';
+import { ANALYTICS_CONFIG } from '../config/analytics';
+
+let isSetUp = false;
+
+/**
+ * Registers the sinks enabled in ANALYTICS_CONFIG.
+ * Called once from main.jsx - safe to call again (no-op).
+ */
+const setupAnalytics = (config = ANALYTICS_CONFIG) => {
+    if (isSetUp) return;
+    isSetUp = true;
+
+    if (config.console) addSink(createConsoleSink());
+
+    if (config.endpoint) {
+        addSink(createBeaconSink({
+            endpoint: config.endpoint,
+            batchSize: config.batchSize,
+            flushInterval: config.flushInterval,
+        }));
+    }
+};
+
+export default setupAnalytics;
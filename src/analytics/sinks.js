@@ -0,0 +1,69 @@
+/**
+ * Analytics Sinks
+ * Factories for the sinks accepted by eventBus.addSink().
+ */
+
+// Dev logging
+export const createConsoleSink = () => ({
+    name: 'console',
+    handle: (event) => console.log(`[Analytics] ${event.type}`, event.payload),
+});
+
+// Batched POST via navigator.sendBeacon (fetch keepalive as fallback)
+// Flushes on batch size, on an interval and whenever the page gets hidden
+export const createBeaconSink = ({ endpoint, batchSize = 20, flushInterval = 10000 }) => {
+    let queue = [];
+
+    const flush = () => {
+        if (queue.length === 0) return;
+
+        const body = JSON.stringify({ events: queue });
+        queue = [];
+
+        const sent = navigator.sendBeacon?.(endpoint, new Blob([body], { type: 'application/json' }));
+        if (!sent) {
+            fetch(endpoint, {
+                method: 'POST',
+                body,
+                keepalive: true,
+                headers: { 'Content-Type': 'application/json' }
+            }).catch(() => { }); // Analytics are best effort
+        }
+    };
+
+    const handleVisibilityChange = () => {
+        if (document.visibilityState === 'hidden') flush();
+    };
+
+    const timer = setInterval(flush, flushInterval);
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+    window.addEventListener('pagehide', flush);
+
+    return {
+        name: 'beacon',
+        handle: (event) => {
+            queue.push(event);
+            if (queue.length >= batchSize) flush();
+        },
+        flush,
+        dispose: () => {
+            clearInterval(timer);
+            document.removeEventListener('visibilitychange', handleVisibilityChange);
+            window.removeEventListener('pagehide', flush);
+            flush();
+        },
+    };
+};
+
+// Keeps events in memory - for tests and debugging
+export const createMemorySink = () => {
+    const events = [];
+
+    return {
+        name: 'memory',
+        events,
+        handle: (event) => events.push(event),
+        ofType: (type) => events.filter((event) => event.type === type),
+        clear: () => { events.length = 0; },
+    };
+};
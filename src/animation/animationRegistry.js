@@ -0,0 +1,111 @@
+import gsap from 'gsap';
+
+/**
+ * Animation Registry - GSAP tweens / timelines tied to a scene owner
+ *
+ * Components create their tweens through a scope (see useAnimationScope) instead of calling
+ * gsap directly. Each scope has a kind whose policy decides what happens to its running
+ * animations when the owner unmounts, a teleport starts or an exit is requested:
+ * 'kill' stops them where they are, 'complete' fast-forwards them (onComplete still fires),
+ * 'keep' leaves them alone.
+ * A killed tween never calls its onComplete - owners that reset state there (camera released,
+ * animating flag) set an interrupt handler, called after a teleport / exit killed running animations.
+ * Plain module (no React) so SceneContext can settle animations from its transition handler.
+ */
+
+export const ANIMATION_POLICIES = {
+    room: { unmount: 'kill', teleport: 'kill', exit: 'kill' },        // Leaving the room - stop fighting the exit camera
+    door: { unmount: 'kill', teleport: 'complete', exit: 'keep' },    // Land open/close state before the jump, exit is the door's own
+    entrance: { unmount: 'kill', teleport: 'kill', exit: 'keep' },    // Deep links skip the fly-through
+    transition: { unmount: 'kill', teleport: 'keep', exit: 'keep' },  // The paper transition runs the teleport
+    preloader: { unmount: 'kill', teleport: 'keep', exit: 'keep' },   // Deep links teleport behind the preloader
+};
+
+// Attached scopes (mounted owners)
+const scopes = new Set();
+
+const isFinished = (animation) => animation.progress() === 1 && !animation.isActive();
+
+const settleScope = (scope, action) => {
+    if (action === 'keep' || scope.animations.size === 0) return;
+
+    // Clear first - completing a tween can start the next one in the same scope
+    const animations = [...scope.animations];
+    scope.animations.clear();
+
+    animations.forEach((animation) => {
+        if (action === 'complete') animation.progress(1);
+        animation.kill();
+    });
+};
+
+export const createAnimationScope = (owner, kind) => {
+    const policy = ANIMATION_POLICIES[kind];
+    if (!policy) {
+        throw new Error(`Unknown animation scope kind '${kind}'`);
+    }
+
+    const scope = { owner, kind, policy, onInterrupt: null, animations: new Set() };
+
+    const register = (animation) => {
+        // Drop finished ones so hover tweens don't pile up
+        scope.animations.forEach((running) => {
+            if (isFinished(running)) scope.animations.delete(running);
+        });
+        scope.animations.add(animation);
+        return animation;
+    };
+
+    return {
+        owner,
+        kind,
+        to: (target, vars) => register(gsap.to(target, vars)),
+        fromTo: (target, fromVars, toVars) => register(gsap.fromTo(target, fromVars, toVars)),
+        timeline: (vars) => register(gsap.timeline(vars)),
+        kill: () => settleScope(scope, 'kill'),
+        setInterruptHandler: (handler) => { scope.onInterrupt = handler; },
+        complete: () => settleScope(scope, 'complete'),
+        attach: () => scopes.add(scope),
+        // Owner unmounted
+        dispose: () => {
+            scopes.delete(scope);
+            settleScope(scope, policy.unmount);
+        }
+    };
+};
+
+// Scene lifecycle event: 'teleport' | 'exit'
+export const settleAnimations = (event) => {
+    scopes.forEach((scope) => {
+        const action = scope.policy[event];
+        const interrupted = action === 'kill' && [...scope.animations].some((animation) => !isFinished(animation));
+
+        settleScope(scope, action);
+        if (interrupted) scope.onInterrupt?.(event);
+    });
+};
+
+// Debug: running animations per owner
+export const getAnimationScopes = () => [...scopes].map(({ owner, kind, animations }) => ({
+    owner,
+    kind,
+    running: [...animations].filter((animation) => !isFinished(animation)).length
+}));
+
+// Slow motion / freeze for debugging the choreography - applies to every GSAP animation
+export const setAnimationTimeScale = (scale) => {
+    gsap.globalTimeline.timeScale(scale);
+};
+
+export const getAnimationTimeScale = () => gsap.globalTimeline.timeScale();
+
+export const setAnimationsPaused = (paused) => {
+    gsap.globalTimeline.paused(paused);
+};
+
+export const areAnimationsPaused = () => gsap.globalTimeline.paused();
+
+// Any GSAP animation playing right now (scoped or not) - keeps the render scheduler awake
+export const isAnimating = () => gsap.globalTimeline
+    .getChildren(false, true, true)
+    .some((animation) => animation.isActive());
@@ -0,0 +1,26 @@
+/**
+ * Fixed Step - run a simulation at the tier's physicsStep instead of once per frame
+ *
+ * useFrame's delta is added to an accumulator and update(step) runs once per whole step,
+ * so the simulation behaves the same at 30, 60 or 144 fps and LOW tier does fewer updates.
+ * Constants tuned per 60 fps frame are converted with perFrame(value, step).
+ * Plain module (no React) - pass a ref ({ current: 0 }) as the accumulator.
+ */
+
+// After a long frame (tab switch, GC) skip ahead instead of running hundreds of steps
+const MAX_STEPS_PER_FRAME = 5;
+
+// Reference frame rate the per-frame constants (friction, decay) were tuned at
+const TUNED_STEP = 1 / 60;
+
+export const runFixedSteps = (accumulator, delta, step, update) => {
+    accumulator.current = Math.min(accumulator.current + delta, step * MAX_STEPS_PER_FRAME);
+
+    while (accumulator.current >= step) {
+        update(step);
+        accumulator.current -= step;
+    }
+};
+
+// Multiplier tuned for one 60 fps frame -> the same decay over `step` seconds
+export const perFrame = (value, step) => Math.pow(value, step / TUNED_STEP);
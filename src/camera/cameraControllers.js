@@ -0,0 +1,103 @@
+/**
+ * Camera Controllers - who is allowed to move the camera right now
+ *
+ * Every piece that drives the camera (corridor scroll, door tweens, rooms, teleport,
+ * journey replay) acquires it with a priority. The highest priority owns the camera,
+ * equal priorities go to the most recent one.
+ * Plain module (no React) so GSAP callbacks can acquire / release too - see useCameraControl.
+ *
+ * acquireCamera(camera, { owner, priority, rotationOrder, onResume }) -> { isOwner(), release(options) }
+ * - rotationOrder: Euler order the controller works in, applied (orientation kept) while it owns the camera
+ * - onResume(camera): called when the controller gets the camera back from a released one
+ * - release({ restorePose = true }): an owner hands back the pose it acquired the camera with
+ *   and the rotation order. restorePose: false keeps the camera where the controller left it.
+ */
+
+export const CAMERA_PRIORITY = {
+    CORRIDOR: 0,    // useInfiniteCamera - scroll / parallax
+    DOOR: 10,       // DoorSection - walk up to the door, fly into the room
+    ROOM: 20,       // Room camera effects (Contact look-down, About banking, Studio zoom)
+    TRANSITION: 30, // Door exit animation, teleport
+    REPLAY: 40,     // Journey ghost replay
+};
+
+const controllers = [];
+const listeners = new Set();
+let snapshot = [];
+let nextId = 0;
+
+// Highest priority wins, later acquisitions win ties
+const getOwner = () => controllers.reduce(
+    (owner, controller) => (!owner || controller.priority >= owner.priority ? controller : owner),
+    null
+);
+
+// Readout for debug tools - owner first
+const emit = () => {
+    snapshot = controllers
+        .map(({ id, owner, priority, rotationOrder }) => ({ id, owner, priority, rotationOrder }))
+        .sort((a, b) => b.priority - a.priority || b.id - a.id);
+    listeners.forEach((listener) => listener());
+};
+
+// Switch Euler order without turning the camera
+const applyRotationOrder = (camera, order) => {
+    if (camera.rotation.order !== order) camera.rotation.reorder(order);
+};
+
+const releaseController = (controller, { restorePose = true } = {}) => {
+    const index = controllers.indexOf(controller);
+    if (index === -1) return;
+
+    const wasOwner = getOwner() === controller;
+    controllers.splice(index, 1);
+
+    // A controller that was overruled never touched the camera - nothing to hand back
+    if (wasOwner) {
+        const { camera, pose } = controller;
+        if (restorePose) {
+            camera.position.copy(pose.position);
+            camera.quaternion.copy(pose.quaternion);
+        }
+
+        const next = getOwner();
+        applyRotationOrder(camera, next ? next.rotationOrder : pose.rotationOrder);
+        next?.onResume?.(camera);
+    }
+
+    emit();
+};
+
+export const acquireCamera = (camera, { owner, priority = CAMERA_PRIORITY.CORRIDOR, rotationOrder = 'XYZ', onResume } = {}) => {
+    const controller = {
+        id: ++nextId,
+        owner,
+        priority,
+        rotationOrder,
+        onResume,
+        camera,
+        // Pose to hand back on release
+        pose: {
+            position: camera.position.clone(),
+            quaternion: camera.quaternion.clone(),
+            rotationOrder: camera.rotation.order
+        }
+    };
+
+    controllers.push(controller);
+    if (getOwner() === controller) applyRotationOrder(camera, rotationOrder);
+    emit();
+
+    return {
+        isOwner: () => getOwner() === controller,
+        release: (options) => releaseController(controller, options)
+    };
+};
+
+// useSyncExternalStore pair for the debug readout
+export const subscribeCameraControllers = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+export const getCameraControllers = () => snapshot;
@@ -5,16 +5,22 @@ import InfiniteCorridorManager from './corridor/InfiniteCorridorManager';
 import EntranceDoors from './entrance/EntranceDoors';
 import EmptyCorridor from './entrance/EmptyCorridor';
 import TeleportRoom from './corridor/TeleportRoom';
+import JourneyDriver from './JourneyDriver';
 import useInfiniteCamera from '../../hooks/useInfiniteCamera';
+import useSessionPosition from '../../hooks/useSessionPosition';
+import useRoomPrefetch from '../../hooks/useRoomPrefetch';
 import SignSystem from './entrance/SignSystem';
 import { useScene } from '../../context/SceneContext';
+import { usePerformance } from '../../context/PerformanceContext';
+import { SCENE_STATES } from '../../context/sceneMachine';
 
 // Positioning:
 // - Segment -1's SegmentDoors are at Z=15
 // - Entrance doors at Z=22 (in front of segment doors)
 // - ITOM/Avatar at Z≈5.5
-// - Camera starts at Z=28, ends at Z=8 (in front of avatar)
+// - Camera starts at Z=28, ends at Z=11 (in front of avatar)
 const ENTRANCE_DOORS_Z = 22;
+const ENTRANCE_END_Z = 11; // Camera Z after the entrance fly-through (also the skip-intro spot)
 
 /**
  * Experience Component
@@ -23,59 +29,105 @@ const ENTRANCE_DOORS_Z = 22;
  * 1. Preloader fades out -> user sees 3D entrance doors
  * 2. Click doors -> they open + camera flies through
  * 3. Behind doors: infinite corridor with ITOM
+ * With skipIntro the camera is placed at the end of step 2 right away.
+ * After a reload the saved session position wins over both.
  */
-const Experience = ({ isLoaded, onSceneReady, performanceTier }) => {
+const Experience = ({ isLoaded, onSceneReady, performanceTier, skipIntro = false }) => {
     // Use SceneContext for room state
-    const { hasEntered, markEntered, enterRoom, isTeleporting, isInRoom, pendingDoorClick } = useScene();
+    const { sceneState, hasEntered, markEntered } = useScene();
 
-    const { camera } = useThree();
+    const { camera, scene } = useThree();
+    const { settings } = usePerformance();
 
     // Signal ready on mount (after texture load + initial render)
     useEffect(() => {
         onSceneReady?.();
     }, [onSceneReady]);
 
-    // Camera control - both scroll and parallax only work after entering
-    // Disable during teleporting to prevent scroll interference
-    const { setCameraOverride } = useInfiniteCamera({
+    // Camera control - both scroll and parallax only work while free in the corridor
+    // (not during entrance, door animations, rooms or teleports)
+    const inCorridor = sceneState === SCENE_STATES.CORRIDOR;
+    const roomPrefetch = useRoomPrefetch(performanceTier);
+    const { jumpTo, getCameraZ, getCurrentSegment } = useInfiniteCamera({
         segmentLength: 80,
         scrollSpeed: 0.025,
-        parallaxIntensity: 0.4,
+        // Scaled by the motion setting (GraphicsSettings / prefers-reduced-motion)
+        parallaxIntensity: 0.4 * settings.motion,
+        glanceIntensity: 0.15 * settings.motion,
         smoothing: 0.06,
-        scrollEnabled: hasEntered && !isTeleporting && !isInRoom,
-        parallaxEnabled: hasEntered && !isTeleporting && !isInRoom
+        scrollEnabled: inCorridor,
+        parallaxEnabled: inCorridor,
+        // Load room chunks/textures ahead of the click
+        prefetchDistance: roomPrefetch.distance,
+        onDoorApproach: roomPrefetch.onDoorApproach
     });
 
-    // NOTE: Camera override is now managed directly by DoorSection.jsx
-    // We removed the useEffect that was calling setCameraOverride here because
-    // it conflicted with DoorSection's direct control and caused camera jumps.
+    // NOTE: Doors, rooms and the teleport take the camera over themselves (useCameraControl)
+    // and the corridor resumes when they hand it back.
     // The scrollEnabled/parallaxEnabled props already handle disabling scroll when in room.
 
 
+    const { restoreSession } = useSessionPosition({ getCameraZ, getCurrentSegment, jumpTo });
+
+    // Reload -> back to the saved position
+    // Skip intro -> jump to where the entrance animation ends and hand over to the corridor
+    // (deep links have already left the entrance state and skip this)
+    useEffect(() => {
+        if (sceneState !== SCENE_STATES.ENTRANCE) return;
+        if (restoreSession()) return;
+        if (!skipIntro) return;
+
+        jumpTo(ENTRANCE_END_Z);
+        markEntered();
+    }, [skipIntro, sceneState, restoreSession, jumpTo, markEntered]);
+
     // Handle entrance complete
     const handleEntranceComplete = useCallback(() => {
         markEntered();
     }, [markEntered]);
 
     // Handle door enter from inside corridor
+    // DoorSection already reported the arrival to SceneContext
     const handleDoorEnter = useCallback((doorId) => {
-        enterRoom(doorId);
         console.log('Entering:', doorId);
-    }, [enterRoom]);
+    }, []);
 
     // Optimization: Low tier has simpler lighting
     const isLowTier = performanceTier === 'LOW';
 
+    // Shadow map size per tier - three only allocates the map once, so drop it to resize
+    const keyLightRef = useRef();
+    useEffect(() => {
+        const shadow = keyLightRef.current?.shadow;
+        if (!shadow?.map) return;
+        shadow.map.dispose();
+        shadow.map = null;
+    }, [settings.shadowMapSize]);
+
+    // Shadows toggled live (tier or settings) - the Canvas flips shadowMap.enabled,
+    // compiled materials only pick it up when recompiled
+    const shadowsApplied = useRef(settings.shadows);
+    useEffect(() => {
+        if (shadowsApplied.current === settings.shadows) return;
+        shadowsApplied.current = settings.shadows;
+        scene.traverse((object) => {
+            if (!object.material) return;
+            const materials = Array.isArray(object.material) ? object.material : [object.material];
+            materials.forEach((material) => { material.needsUpdate = true; });
+        });
+    }, [settings.shadows, scene]);
+
     return (
         <>
             {/* === GLOBAL LIGHTING === */}
             <ambientLight intensity={isLowTier ? 2.5 : 2.2} />
             <directionalLight
+                ref={keyLightRef}
                 position={[5, 10, 5]}
                 intensity={0.8}
                 color="#ffffff"
-                castShadow={!isLowTier}
-                shadow-mapSize={[1024, 1024]}
+                castShadow={settings.shadows}
+                shadow-mapSize={[settings.shadowMapSize, settings.shadowMapSize]}
             />
             <directionalLight position={[-5, 8, -10]} intensity={0.4} color="#ffffff" />
 
@@ -88,6 +140,7 @@ const Experience = ({ isLoaded, onSceneReady, performanceTier }) => {
             {!hasEntered && (
                 <EntranceDoors
                     position={[0, 0, ENTRANCE_DOORS_Z]}
+                    cameraEndZ={ENTRANCE_END_Z}
                     onComplete={handleEntranceComplete}
                 />
             )}
@@ -102,11 +155,13 @@ const Experience = ({ isLoaded, onSceneReady, performanceTier }) => {
                 onDoorEnter={handleDoorEnter}
                 hideDoorsForSegments={hasEntered ? [] : [-1]} // Hide segment -1's doors until entered
                 clipSegmentNeg1={!hasEntered} // Clip segment -1 visualization until entered
-                setCameraOverride={setCameraOverride}
             />
 
             {/* === TELEPORT ROOM (renders room directly during teleportation) === */}
-            <TeleportRoom />
+            <TeleportRoom isLoaded={isLoaded} />
+
+            {/* === JOURNEY RECORDER (camera samples / ghost replay) === */}
+            <JourneyDriver />
         </>
     );
 };
@@ -0,0 +1,130 @@
+import { useRef, useMemo, useEffect } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import * as THREE from 'three';
+import useJourney from '../../hooks/useJourney';
+import { useScene } from '../../context/SceneContext';
+import { seekEntry } from '../../journey/journeyTimeline';
+import { CAMERA_PRIORITY } from '../../camera/cameraControllers';
+import useCameraControl from '../../hooks/useCameraControl';
+import { wake } from '../../performance/renderScheduler';
+
+// Scene events that came from the UI (map, back button, ESC, overlay) and are replayed as actions.
+// Everything else is a consequence the components emit themselves when the input is replayed.
+const REPLAYED_SCENE_EVENTS = {
+    TELEPORT: (actions, payload) => actions.teleportTo(payload.roomId),
+    EXIT: (actions) => actions.requestExit(),
+    ITEM: (actions, payload) => actions.requestItem(payload.roomId, payload.itemId),
+};
+
+// Re-dispatch recorded input so R3F raycasting and useInfiniteCamera react like they did live
+const dispatchInput = (canvas, [, kind, a, b]) => {
+    if (kind === 'wheel') {
+        window.dispatchEvent(new WheelEvent('wheel', { deltaY: a, bubbles: true, cancelable: true }));
+        return;
+    }
+
+    const init = {
+        clientX: a * window.innerWidth,
+        clientY: b * window.innerHeight,
+        bubbles: true,
+        cancelable: true,
+        pointerId: 1,
+        pointerType: 'mouse',
+        isPrimary: true
+    };
+
+    if (kind === 'move') {
+        canvas.dispatchEvent(new PointerEvent('pointermove', init));
+        canvas.dispatchEvent(new MouseEvent('mousemove', init));
+    } else if (kind === 'click') {
+        canvas.dispatchEvent(new PointerEvent('pointerdown', init));
+        canvas.dispatchEvent(new PointerEvent('pointerup', init));
+        canvas.dispatchEvent(new MouseEvent('click', init));
+    }
+};
+
+/**
+ * GhostReplay - plays a recording back
+ * Camera follows the recorded samples (interpolated), input and UI actions fire at their times.
+ * Runs with frame priority 1 so the ghost pose is written after every other useFrame / tween
+ * and renders the frame itself. Holds the top camera priority so nothing else drives it meanwhile.
+ * Wakes the render scheduler every frame - the Canvas renders on demand, and between recorded
+ * inputs it would otherwise drop to the ambient rate and the ghost camera would stutter.
+ */
+const GhostReplay = ({ recording, onDone }) => {
+    const { gl } = useThree();
+    const sceneActions = useScene();
+    const startTime = useRef(null);
+    const cursors = useRef({ camera: 0, input: 0, scene: 0 });
+    const replayCamera = useCameraControl('journey-replay', CAMERA_PRIORITY.REPLAY);
+
+    // Camera stays on the last ghost pose when the replay ends
+    useEffect(() => {
+        replayCamera.acquire();
+        return () => replayCamera.release({ restorePose: false });
+    }, [replayCamera]);
+
+    const from = useMemo(() => ({ position: new THREE.Vector3(), quaternion: new THREE.Quaternion() }), []);
+    const to = useMemo(() => ({ position: new THREE.Vector3(), quaternion: new THREE.Quaternion() }), []);
+
+    useFrame((state) => {
+        wake();
+        if (startTime.current === null) startTime.current = performance.now();
+        const t = performance.now() - startTime.current;
+        const c = cursors.current;
+
+        // Input + UI actions that are due
+        while (c.input < recording.input.length && recording.input[c.input][0] <= t) {
+            dispatchInput(gl.domElement, recording.input[c.input++]);
+        }
+        while (c.scene < recording.scene.length && recording.scene[c.scene][0] <= t) {
+            const [, event, payload] = recording.scene[c.scene++];
+            REPLAYED_SCENE_EVENTS[event]?.(sceneActions, payload);
+        }
+
+        // Ghost camera - interpolate between the surrounding samples
+        const samples = recording.camera;
+        if (samples.length > 0) {
+            c.camera = seekEntry(samples, t, c.camera);
+            const a = samples[c.camera];
+            const b = samples[c.camera + 1] ?? a;
+            const alpha = b[0] > a[0] ? THREE.MathUtils.clamp((t - a[0]) / (b[0] - a[0]), 0, 1) : 0;
+
+            from.position.fromArray(a, 1);
+            from.quaternion.fromArray(a, 4);
+            to.position.fromArray(b, 1);
+            to.quaternion.fromArray(b, 4);
+
+            state.camera.position.lerpVectors(from.position, to.position, alpha);
+            state.camera.quaternion.slerpQuaternions(from.quaternion, to.quaternion, alpha);
+        }
+
+        state.gl.render(state.scene, state.camera);
+
+        if (t >= recording.duration) onDone();
+    }, 1);
+
+    return null;
+};
+
+/**
+ * JourneyDriver Component
+ *
+ * Canvas side of the journey recorder (see JourneyContext):
+ * samples the camera while recording, mounts GhostReplay while replaying.
+ */
+const JourneyDriver = () => {
+    const { status, recording, recordCamera, stopReplay } = useJourney();
+
+    useFrame(({ camera }) => {
+        if (status === 'recording') recordCamera(camera);
+    });
+
+    if (status === 'replaying' && recording) {
+        return <GhostReplay recording={recording} onDone={stopReplay} />;
+    }
+
+    return null;
+};
+
+export default JourneyDriver;
@@ -0,0 +1,85 @@
+import { useRef, useEffect, useLayoutEffect } from 'react';
+import { useThree } from '@react-three/fiber';
+import { useScene } from '../../context/SceneContext';
+import { SCENE_STATES } from '../../context/sceneMachine';
+import { RENDER_SCHEDULER } from '../../config/performance';
+import { wake, updateTargetFps } from '../../performance/renderScheduler';
+import { isAnimating } from '../../animation/animationRegistry';
+
+// Visitor is doing something - full rate for activeMs
+const INPUT_EVENTS = ['pointermove', 'pointerdown', 'wheel', 'touchstart', 'touchmove', 'keydown'];
+
+// States the scene is settled in - anything else is a transition and renders every frame
+const SETTLED_STATES = new Set([SCENE_STATES.ENTRANCE, SCENE_STATES.CORRIDOR, SCENE_STATES.IN_ROOM]);
+
+// requestAnimationFrame jitter - 30 fps on a 60 Hz screen shouldn't become 20
+const FRAME_SLACK_MS = 2;
+
+/**
+ * RenderScheduler Component
+ *
+ * Asks the Canvas (frameloop="demand") for frames at the rate performance/renderScheduler decides.
+ * Its own animation frame loop wakes the scheduler on camera movement (smoothing, parallax,
+ * useCameraControl) and running GSAP animations; window input, scene state changes and the
+ * GlobalOverlay opening / closing wake it too. Pointer input over an open overlay card doesn't -
+ * the scene behind it stays at overlayMaxFps while the visitor reads.
+ * `awake` keeps it at full rate regardless (Preloader / warmup still running).
+ */
+const RenderScheduler = ({ awake = false }) => {
+    const { camera, invalidate } = useThree();
+    const { sceneState, isTeleporting, overlayContent } = useScene();
+    const overlayOpen = Boolean(overlayContent);
+    const busy = awake || isTeleporting || !SETTLED_STATES.has(sceneState);
+
+    // Read by the loop / input handlers without restarting them
+    const latest = useRef({ busy, overlayOpen });
+    useLayoutEffect(() => {
+        latest.current = { busy, overlayOpen };
+    }, [busy, overlayOpen]);
+
+    // Scene settled into a new state, card opened or closed
+    useEffect(() => {
+        wake();
+    }, [sceneState, overlayOpen]);
+
+    useEffect(() => {
+        const handleInput = () => {
+            if (!latest.current.overlayOpen) wake();
+        };
+
+        INPUT_EVENTS.forEach((type) => window.addEventListener(type, handleInput, { passive: true }));
+        return () => INPUT_EVENTS.forEach((type) => window.removeEventListener(type, handleInput));
+    }, []);
+
+    useEffect(() => {
+        const lastPosition = camera.position.clone();
+        const lastQuaternion = camera.quaternion.clone();
+        const threshold = RENDER_SCHEDULER.motionThreshold;
+        let lastFrameAt = 0;
+        let frame;
+
+        const tick = (now) => {
+            frame = requestAnimationFrame(tick);
+
+            const moved = camera.position.distanceTo(lastPosition) > threshold
+                || 1 - Math.abs(camera.quaternion.dot(lastQuaternion)) > threshold;
+            if (moved || isAnimating()) wake(RENDER_SCHEDULER.motionMs);
+            lastPosition.copy(camera.position);
+            lastQuaternion.copy(camera.quaternion);
+
+            const fps = updateTargetFps(now, latest.current);
+            if (fps === 0) return;
+            if (fps === Infinity || now - lastFrameAt >= 1000 / fps - FRAME_SLACK_MS) {
+                lastFrameAt = now;
+                invalidate();
+            }
+        };
+
+        frame = requestAnimationFrame(tick);
+        return () => cancelAnimationFrame(frame);
+    }, [camera, invalidate]);
+
+    return null;
+};
+
+export default RenderScheduler;
@@ -0,0 +1,70 @@
+import { Suspense, useState, useEffect, useCallback } from 'react';
+import { useThree } from '@react-three/fiber';
+import { SCENE_TEXTURES } from '../../config/texturePreloadList';
+import TextureUpload from './TextureUpload';
+
+/**
+ * SceneWarmup Component
+ *
+ * Runs behind the Preloader so the corridor is hot when the paper tears open:
+ * 1. Every entrance / corridor texture (SCENE_TEXTURES) uploaded to the GPU
+ * 2. Every material in the scene compiled (hidden objects included, renderer.compileAsync)
+ * Reports progress (0-1) - the Preloader adds it to its bar and waits for 1.
+ * Replaces drei's <Preload all />, which compiled synchronously and wasn't counted.
+ */
+
+// Share of the warm-up bar taken by texture uploads (the rest is shader compile)
+const TEXTURE_SHARE = 0.5;
+
+const SceneWarmup = ({ onProgress }) => {
+    const { gl, scene, camera } = useThree();
+    const [uploaded, setUploaded] = useState(() => new Set());
+    const [compiled, setCompiled] = useState(false);
+
+    const handleUploaded = useCallback((path) => {
+        setUploaded((paths) => (paths.has(path) ? paths : new Set(paths).add(path)));
+    }, []);
+
+    // Compile once the rest of the scene has mounted (we're inside the same Suspense boundary)
+    useEffect(() => {
+        let cancelled = false;
+
+        // Hidden objects (segment -1 doors, room doors...) too - the sync part of
+        // compileAsync collects the materials, so they're only visible for this call
+        const hidden = [];
+        scene.traverse((object) => {
+            if (object.visible === false) {
+                hidden.push(object);
+                object.visible = true;
+            }
+        });
+
+        const compile = 'compileAsync' in gl ? gl.compileAsync(scene, camera) : Promise.resolve(gl.compile(scene, camera));
+        hidden.forEach((object) => { object.visible = false; });
+
+        compile
+            .catch((error) => {
+                // Not fatal - shaders compile on first render instead
+                if (import.meta.env.DEV) console.warn('[SceneWarmup] Precompile failed', error);
+            })
+            .then(() => {
+                if (!cancelled) setCompiled(true);
+            });
+
+        return () => { cancelled = true; };
+    }, [gl, scene, camera]);
+
+    useEffect(() => {
+        const textures = uploaded.size / SCENE_TEXTURES.length;
+        onProgress?.(textures * TEXTURE_SHARE + (compiled ? 1 - TEXTURE_SHARE : 0));
+    }, [uploaded, compiled, onProgress]);
+
+    // Same single-path inputs App preloads, so these hit the existing cache entries
+    return SCENE_TEXTURES.map((path) => (
+        <Suspense key={path} fallback={null}>
+            <TextureUpload input={path} onLoaded={handleUploaded} />
+        </Suspense>
+    ));
+};
+
+export default SceneWarmup;
@@ -0,0 +1,22 @@
+import { useEffect } from 'react';
+import useTierTexture from '../../hooks/useTierTexture';
+
+/**
+ * TextureUpload - decode + upload a texture (or group) ahead of use
+ *
+ * Suspends until the texture is decoded, useTierTexture uploads it to the GPU, then onLoaded(input) fires.
+ * Pass the same input the consumer passes to useTierTexture so both share one cache entry
+ * (both resolve it to the current tier's variant).
+ * Wrap each one in its own Suspense to get per-texture progress.
+ */
+const TextureUpload = ({ input, onLoaded }) => {
+    useTierTexture(input);
+
+    useEffect(() => {
+        onLoaded?.(input);
+    }, [input, onLoaded]);
+
+    return null;
+};
+
+export default TextureUpload;
@@ -0,0 +1,82 @@
+import { useRef, useEffect } from 'react';
+import { useFrame } from '@react-three/fiber';
+import { usePerformance } from '../../context/PerformanceContext';
+import { useScene } from '../../context/SceneContext';
+import { SCENE_STATES } from '../../context/sceneMachine';
+import { TIER_MONITOR } from '../../config/performance';
+import { isFullRate } from '../../performance/renderScheduler';
+
+/**
+ * TierMonitor Component
+ *
+ * Moves the performance tier with the measured fps (replaces drei's PerformanceMonitor).
+ * fps is sampled per window (TIER_MONITOR.windowMs); a tier change needs a streak of
+ * slow samples (down) or a much longer streak of fast ones (up), and PerformanceContext
+ * refuses changes during its cooldown - so one GC pause doesn't cost the whole session.
+ * Frames aren't counted while busy: before the Preloader is gone (paused), while a room
+ * loads (ENTERING) or a teleport / PaperTransition runs, nor for settleMs after any of these
+ * or a tier change. Off entirely while the visitor has picked a quality (GraphicsSettings).
+ * Frames the render scheduler throttled (idle / overlay) are skipped as well - the window
+ * in progress is dropped and sampling settles again once it is back at full rate.
+ */
+const TierMonitor = ({ paused = false }) => {
+    const { tier, isTierLocked, downgradeTier, upgradeTier } = usePerformance();
+    const { sceneState, isTeleporting } = useScene();
+    const busy = paused || isTierLocked || isTeleporting || sceneState === SCENE_STATES.ENTERING;
+
+    const sample = useRef({ time: 0, frames: 0, slow: 0, fast: 0, settleUntil: 0 });
+
+    // Start over after being busy and after every tier change (new settings, new fps)
+    useEffect(() => {
+        Object.assign(sample.current, {
+            time: 0,
+            frames: 0,
+            slow: 0,
+            fast: 0,
+            settleUntil: performance.now() + TIER_MONITOR.settleMs,
+        });
+    }, [busy, tier]);
+
+    useFrame((state, delta) => {
+        const current = sample.current;
+        if (!isFullRate()) {
+            current.time = 0;
+            current.frames = 0;
+            current.settleUntil = performance.now() + TIER_MONITOR.settleMs;
+            return;
+        }
+        if (busy || performance.now() < current.settleUntil) return;
+
+        current.time += delta * 1000;
+        current.frames++;
+        if (current.time < TIER_MONITOR.windowMs) return;
+
+        const fps = (current.frames * 1000) / current.time;
+        current.time = 0;
+        current.frames = 0;
+
+        if (fps < TIER_MONITOR.downgradeFps) {
+            current.slow++;
+            current.fast = 0;
+        } else if (fps > TIER_MONITOR.upgradeFps) {
+            current.fast++;
+            current.slow = 0;
+        } else {
+            // In the hysteresis band - the current tier fits
+            current.slow = 0;
+            current.fast = 0;
+        }
+
+        if (current.slow >= TIER_MONITOR.downgradeWindows) {
+            current.slow = 0;
+            downgradeTier(`${Math.round(fps)} fps, under ${TIER_MONITOR.downgradeFps} for ${TIER_MONITOR.downgradeWindows} samples`);
+        } else if (current.fast >= TIER_MONITOR.upgradeWindows) {
+            current.fast = 0;
+            upgradeTier(`${Math.round(fps)} fps, over ${TIER_MONITOR.upgradeFps} for ${TIER_MONITOR.upgradeWindows} samples`);
+        }
+    });
+
+    return null;
+};
+
+export default TierMonitor;
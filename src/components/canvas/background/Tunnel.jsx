@@ -1,6 +1,6 @@
 import { useRef, useMemo } from 'react';
 import { useFrame } from '@react-three/fiber';
-import { useTexture } from '@react-three/drei';
+import useTierTexture from '../../../hooks/useTierTexture';
 import * as THREE from 'three';
 
 /**
@@ -13,7 +13,7 @@ const Tunnel = ({ parallax = { x: 0, y: 0 } }) => {
     const meshRef = useRef();
 
     // Load paper texture
-    const paperTexture = useTexture('/textures/paper-texture.webp');
+    const paperTexture = useTierTexture('/textures/paper-texture.webp');
 
     // Configure texture for tiling
     useMemo(() => {
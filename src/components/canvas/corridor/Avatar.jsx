@@ -1,6 +1,7 @@
 import { useRef, useState, useEffect } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
-import { useTexture } from '@react-three/drei';
+import useTierTexture from '../../../hooks/useTierTexture';
+import useAmbientActivity from '../../../hooks/useAmbientActivity';
 import * as THREE from 'three';
 
 /**
@@ -16,6 +17,9 @@ const Avatar = ({ position = [10, -20, 30] }) => {
     const meshRef = useRef();
     const groupRef = useRef();
     const [dimensions, setDimensions] = useState({ width: 1.2, height: 2.4 });
+
+    // Idle float (the dodge follows the camera, which wakes the scheduler itself)
+    useAmbientActivity(24);
     const { camera } = useThree();
 
     // Dodge state
@@ -27,7 +31,7 @@ const Avatar = ({ position = [10, -20, 30] }) => {
     const wobble = useRef(0);
 
     // Load new sketch avatar texture
-    const texture = useTexture('/textures/corridor/avatar_sketch.webp');
+    const texture = useTierTexture('/textures/corridor/avatar_sketch.webp');
     texture.colorSpace = THREE.SRGBColorSpace;
 
     // Calculate proper aspect ratio (SAME size on all devices)
@@ -1,5 +1,5 @@
 import { useMemo } from 'react';
-import { useTexture } from '@react-three/drei';
+import useTierTexture from '../../../hooks/useTierTexture';
 import * as THREE from 'three';
 
 /**
@@ -12,7 +12,7 @@ const Corridor = ({ length = 100 }) => {
     const corridorHeight = 3.5;
 
     // Load paper texture
-    const paperTexture = useTexture('/textures/paper-texture.webp');
+    const paperTexture = useTierTexture('/textures/paper-texture.webp');
 
     useMemo(() => {
         paperTexture.wrapS = paperTexture.wrapT = THREE.RepeatWrapping;
@@ -28,63 +28,30 @@ const DOOR_Z_SPAN = 4;
 const WALL_ANGLE = Math.atan2(WALL_X_OUTER - WALL_X_INNER, DOOR_Z_SPAN);
 
 import { usePerformance } from '../../../context/PerformanceContext';
+import { ROOMS, SEGMENT_START_Z, DOOR_OFFSET_Z } from '../../../config/rooms';
 
 const CorridorSegment = ({
     segmentIndex = 0,
     onDoorEnter,
     hideSegmentDoors = false, // Hide only SegmentDoors while keeping content preloaded
-    zClip = 100000, // Clipping plane (render everything with Z < zClip)
-    setCameraOverride // Function to take over camera control
+    zClip = 100000 // Clipping plane (render everything with Z < zClip)
 }) => {
     const { tier } = usePerformance();
     const isHighTier = tier === 'HIGH';
 
     // Calculate Z offset based on segment index
     // Segment 0 starts at Z=10, goes to Z=-70
-    const zOffset = 10 - (segmentIndex * SEGMENT_LENGTH);
+    const zOffset = SEGMENT_START_Z - (segmentIndex * SEGMENT_LENGTH);
 
-    // Door positions within this segment (relative to segment start)
+    // Door positions within this segment (relative to segment start) - one per registered room
     const doors = useMemo(() => {
-        const doorDefs = [
-            {
-                id: `gallery-${segmentIndex}`,
-                roomId: 'gallery',
-                relativeZ: -18,
-                side: 'left',
-                label: 'THE GALLERY',
-                icon: '◈',
-                color: '#f5efe6'
-            },
-            {
-                id: `studio-${segmentIndex}`,
-                roomId: 'studio',
-                relativeZ: -32,
-                side: 'right',
-                label: 'THE STUDIO',
-                icon: '▶',
-                color: '#e6f5ef'
-            },
-            {
-                id: `about-${segmentIndex}`,
-                roomId: 'about',
-                relativeZ: -48,
-                side: 'left',
-                label: 'THE ABOUT',
-                icon: '★',
-                color: '#efe6f5'
-            },
-            {
-                id: `connect-${segmentIndex}`,
-                roomId: 'contact',
-                relativeZ: -62,
-                side: 'right',
-                label: "LET'S CONNECT",
-                icon: '✉',
-                color: '#f5e6e6'
-            },
-        ];
-
-        return doorDefs.map(def => {
+        return ROOMS.map(room => {
+            const def = {
+                ...room,
+                id: `${room.id}-${segmentIndex}`,
+                roomId: room.id
+            };
+
             // Calculate adjusted Position and Rotation for Sawtooth Walls
             const xBase = (WALL_X_OUTER + WALL_X_INNER) / 2; // Midpoint of the angled wall
             const xPos = def.side === 'left' ? -xBase : xBase;
@@ -156,7 +123,7 @@ const CorridorSegment = ({
                     position={[
                         door.x,
                         0,
-                        zOffset + door.relativeZ + 2
+                        zOffset + door.relativeZ + DOOR_OFFSET_Z
                     ]}
                     side={door.side}
                     label={door.label}
@@ -164,7 +131,6 @@ const CorridorSegment = ({
                     icon={door.icon}
                     color={door.color}
                     onEnter={() => onDoorEnter?.(door.roomId)}
-                    setCameraOverride={setCameraOverride}
                 />
             ))}
 
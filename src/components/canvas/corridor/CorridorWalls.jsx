@@ -1,7 +1,7 @@
 import { useMemo, useRef } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
 import * as THREE from 'three';
-import { useTexture } from '@react-three/drei';
+import useTierTexture from '../../../hooks/useTierTexture';
 
 // Import constants to match CorridorSegment logic
 // Note: In a real project these might be in a shared config file.
@@ -79,15 +79,15 @@ const CorridorWalls = ({ zStart = 10, length = 80, doorPositions = [], zClip = 1
     const corridorHeight = 3.5;
 
     // Load floor texture
-    const floorTexture = useTexture('/textures/corridor/floor_wood.webp');
+    const floorTexture = useTierTexture('/textures/corridor/floor_wood.webp');
     floorTexture.wrapS = floorTexture.wrapT = THREE.ClampToEdgeWrapping;
 
     // Load wall texture
-    const wallTexture = useTexture('/textures/corridor/wall_texture.webp');
+    const wallTexture = useTierTexture('/textures/corridor/wall_texture.webp');
     wallTexture.wrapS = wallTexture.wrapT = THREE.RepeatWrapping;
 
     // Load ceiling texture
-    const ceilingTexture = useTexture('/textures/corridor/ceiling_texture.webp');
+    const ceilingTexture = useTierTexture('/textures/corridor/ceiling_texture.webp');
     ceilingTexture.wrapS = ceilingTexture.wrapT = THREE.RepeatWrapping;
 
     // Calculate effective geometry based on clipping
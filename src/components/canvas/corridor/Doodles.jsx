@@ -1,8 +1,10 @@
 import { useRef, useState, useEffect } from 'react';
 import { useFrame } from '@react-three/fiber';
-import { useTexture } from '@react-three/drei';
+import useTierTexture from '../../../hooks/useTierTexture';
+import useAmbientActivity from '../../../hooks/useAmbientActivity';
 import * as THREE from 'three';
 import { usePerformance } from '../../../context/PerformanceContext';
+import { scaleCount } from '../../../config/performance';
 
 /**
  * Doodles Component - Hand-drawn Sketch Elements
@@ -12,14 +14,17 @@ import { usePerformance } from '../../../context/PerformanceContext';
  * - Floating animations with physics-like feel
  * - Consistent hand-drawn aesthetic
  * - (Interaction removed for performance)
+ * - Element count follows the tier's particleCount (small decorations go first)
  */
 const Doodles = () => {
     const groupRef = useRef();
-    const { tier } = usePerformance();
-    const isLowTier = tier === 'LOW';
+    const { settings } = usePerformance();
+
+    // Slow float / pulse - looks the same at 24 fps while idle
+    useAmbientActivity(24);
 
     // Load all sketch textures
-    const textures = useTexture({
+    const textures = useTierTexture({
         paperBall: '/textures/corridor/decorations/paper_ball.webp',
         paperAirplane: '/textures/corridor/decorations/paper_airplane.webp',
         pencil: '/textures/corridor/decorations/pencil.webp',
@@ -31,80 +36,86 @@ const Doodles = () => {
         tex.colorSpace = THREE.SRGBColorSpace;
     });
 
+    // Most important first - lower tiers keep the first share (particleCount)
+    const doodles = [
+        // Paper Airplane - BIGGER, above head
+        <SketchElement
+            key="airplane"
+            texture={textures.paperAirplane}
+            position={[0.5, 0.8, 0.3]}
+            scale={0.55}
+            rotationSpeed={0.15}
+            floatSpeed={0.7}
+            floatAmount={0.04}
+        />,
+
+        // Paper Ball - BIGGER, lower left near creative developer
+        <SketchElement
+            key="ball"
+            texture={textures.paperBall}
+            position={[-0.9, -0.7, 0.4]}
+            scale={0.4}
+            rotationSpeed={0.4}
+            floatSpeed={0.5}
+            floatAmount={0.02}
+        />,
+
+        // Pencil - BIGGER, under creative developer
+        <SketchElement
+            key="pencil"
+            texture={textures.pencil}
+            position={[0.7, -0.8, 0.5]}
+            scale={0.5}
+            rotationSpeed={0.1}
+            floatSpeed={0.4}
+            floatAmount={0.02}
+            initialRotation={-0.4}
+        />,
+
+        // Coffee Cup - bigger, upper right
+        <SketchElement
+            key="coffee"
+            texture={textures.coffeeCup}
+            position={[1.2, 0.6, -0.1]}
+            scale={0.35}
+            rotationSpeed={0.05}
+            floatSpeed={0.35}
+            floatAmount={0.025}
+        />,
+
+        // Second Paper Ball - upper left, bigger
+        <SketchElement
+            key="ball-2"
+            texture={textures.paperBall}
+            position={[-1.3, 0.5, -0.2]}
+            scale={0.3}
+            rotationSpeed={-0.3}
+            floatSpeed={0.6}
+            floatAmount={0.03}
+        />,
+
+        // Thought bubble near avatar
+        <ThoughtBubble key="bubble" position={[0.9, 0.7, 0.5]} />,
+
+        // Animated hand-drawn stars
+        <AnimatedStar key="star-1" position={[-1.5, 1.2, 0]} scale={0.1} speed={0.4} />,
+        <AnimatedStar key="star-2" position={[1.6, 0.8, -0.5]} scale={0.08} speed={0.5} />,
+
+        // Squiggly decorative lines
+        <Squiggle key="squiggle-1" position={[-1.6, 0.5, -0.3]} rotation={0.2} />,
+        <Squiggle key="squiggle-2" position={[1.4, 0.3, 0.2]} rotation={-0.3} />,
+
+        // Hand-drawn circles
+        <DoodleCircle key="circle-1" position={[1.2, -0.2, 0.2]} scale={0.05} />,
+        <DoodleCircle key="circle-2" position={[-1.3, 1.0, 0.3]} scale={0.04} />,
+
+        <AnimatedStar key="star-3" position={[-1.2, 0.1, 0.5]} scale={0.06} speed={0.3} />,
+        <AnimatedStar key="star-4" position={[1.3, 1.4, -1]} scale={0.07} speed={0.6} />,
+    ];
+
     return (
         <group ref={groupRef}>
-            {/* Paper Airplane - BIGGER, above head */}
-            <SketchElement
-                texture={textures.paperAirplane}
-                position={[0.5, 0.8, 0.3]}
-                scale={0.55}
-                rotationSpeed={0.15}
-                floatSpeed={0.7}
-                floatAmount={0.04}
-            />
-
-            {/* Paper Ball - BIGGER, lower left near creative developer */}
-            <SketchElement
-                texture={textures.paperBall}
-                position={[-0.9, -0.7, 0.4]}
-                scale={0.4}
-                rotationSpeed={0.4}
-                floatSpeed={0.5}
-                floatAmount={0.02}
-            />
-
-            {/* Second Paper Ball - upper left, bigger */}
-            <SketchElement
-                texture={textures.paperBall}
-                position={[-1.3, 0.5, -0.2]}
-                scale={0.3}
-                rotationSpeed={-0.3}
-                floatSpeed={0.6}
-                floatAmount={0.03}
-            />
-
-            {/* Pencil - BIGGER, under creative developer */}
-            <SketchElement
-                texture={textures.pencil}
-                position={[0.7, -0.8, 0.5]}
-                scale={0.5}
-                rotationSpeed={0.1}
-                floatSpeed={0.4}
-                floatAmount={0.02}
-                initialRotation={-0.4}
-            />
-
-            {/* Coffee Cup - bigger, upper right */}
-            <SketchElement
-                texture={textures.coffeeCup}
-                position={[1.2, 0.6, -0.1]}
-                scale={0.35}
-                rotationSpeed={0.05}
-                floatSpeed={0.35}
-                floatAmount={0.025}
-            />
-
-            {/* Minor decorative elements - HIDDEN on LOW tier for performance */}
-            {!isLowTier && (
-                <>
-                    {/* Animated hand-drawn stars */}
-                    <AnimatedStar position={[-1.5, 1.2, 0]} scale={0.1} speed={0.4} />
-                    <AnimatedStar position={[1.6, 0.8, -0.5]} scale={0.08} speed={0.5} />
-                    <AnimatedStar position={[-1.2, 0.1, 0.5]} scale={0.06} speed={0.3} />
-                    <AnimatedStar position={[1.3, 1.4, -1]} scale={0.07} speed={0.6} />
-
-                    {/* Hand-drawn circles */}
-                    <DoodleCircle position={[1.2, -0.2, 0.2]} scale={0.05} />
-                    <DoodleCircle position={[-1.3, 1.0, 0.3]} scale={0.04} />
-
-                    {/* Squiggly decorative lines */}
-                    <Squiggle position={[-1.6, 0.5, -0.3]} rotation={0.2} />
-                    <Squiggle position={[1.4, 0.3, 0.2]} rotation={-0.3} />
-
-                    {/* Thought bubble near avatar */}
-                    <ThoughtBubble position={[0.9, 0.7, 0.5]} />
-                </>
-            )}
+            {doodles.slice(0, scaleCount(doodles.length, settings.particleCount))}
         </group>
     );
 };
@@ -1,10 +1,16 @@
 import { useRef, useState, useCallback, useEffect, useMemo } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
-import { Text, useTexture } from '@react-three/drei';
+import { Text } from '@react-three/drei';
+import useTierTexture from '../../../hooks/useTierTexture';
 import * as THREE from 'three';
-import gsap from 'gsap';
 import RoomInterior from './RoomInterior';
 import { useScene } from '../../../context/SceneContext';
+import { SCENE_STATES } from '../../../context/sceneMachine';
+import { track, ANALYTICS_EVENTS } from '../../../analytics/eventBus';
+import { getRoom } from '../../../config/rooms';
+import { CAMERA_PRIORITY } from '../../../camera/cameraControllers';
+import useCameraControl from '../../../hooks/useCameraControl';
+import useAnimationScope from '../../../hooks/useAnimationScope';
 
 // Constants from CorridorSegment
 const WALL_X_OUTER = 3.5;
@@ -26,14 +32,10 @@ const DOOR_LOOK_ANGLE = Math.PI * 0.334;
 // Higher value = further from door center horizontally
 const DOOR_ALIGN_X = 1.2;
 
-// Door texture mapping - maps label to texture file
-const DOOR_TEXTURES = {
-    'THE GALLERY': '/textures/corridor/doors/drzwiprojekty.webp',
-    'THE STUDIO': '/textures/corridor/doors/drzwisocial.webp',
-    'THE ABOUT': '/textures/corridor/doors/drzwiabout.webp',
-    "LET'S CONNECT": '/textures/corridor/doors/drzwikontakt.webp',
-};
-
+// Open the door anyway if the room hasn't reported ready by then (ms)
+// Room components precompile first (useRoomReady), the generic room never reports
+const ROOM_READY_FALLBACK = 4000;
+const GENERIC_ROOM_FALLBACK = 500;
 
 /**
  * DoorSection Component
@@ -47,11 +49,10 @@ const DoorSection = ({
     position, // [x, y, z] - center of the wall segment
     side = 'left',
     label,
-    roomId, // ID for context updates (gallery, studio, etc)
+    roomId, // Room registry ID (gallery, studio, etc) - textures and room come from config/rooms
     icon,
     onEnter,
-    autoCloseDelay = 3000,
-    setCameraOverride // Function to take control of camera from hook
+    autoCloseDelay = 3000
 }) => {
     const groupRef = useRef(); // Main group that tilts
     const doorRef = useRef();
@@ -69,29 +70,28 @@ const DoorSection = ({
 
     // Get exit request signal from context
     const {
+        sceneState, // We need this to delay reset until curtain is closed
         currentRoom, // We need to know if the global room changed (teleportation)
         exitRequested,
+        requestExit,
         clearExitRequest,
         exitRoom: contextExitRoom,
+        beginEnterRoom,
         enterRoom,
-        pendingDoorClick,
-        isTeleporting,
-        teleportPhase // We need this to delay reset until curtain is closed
+        pendingDoorClick
     } = useScene();
 
 
 
-    // Map label to ID for teleport matching
-    const doorId = useMemo(() => {
-        if (roomId) return roomId;
+    // Room this door leads to
+    const room = getRoom(roomId);
+    const doorId = room.id;
 
-        // Fallback for older code
-        if (label === 'THE GALLERY') return 'gallery';
-        if (label === 'THE STUDIO') return 'studio';
-        if (label === 'THE ABOUT') return 'about';
-        if (label === "LET'S CONNECT") return 'contact';
-        return null;
-    }, [label, roomId]);
+    // Camera: held from the click until we're back in the corridor.
+    // The exit animation runs above the room's own camera effects.
+    const doorCamera = useCameraControl(`door:${doorId}`, CAMERA_PRIORITY.DOOR);
+    const exitCamera = useCameraControl(`door-exit:${doorId}`, CAMERA_PRIORITY.TRANSITION);
+    const animations = useAnimationScope(`door:${doorId}`, 'door');
 
     // Listen for pending door click (auto-click after teleport)
     useEffect(() => {
@@ -111,8 +111,8 @@ const DoorSection = ({
     // BUT only after the curtain is closed (phase === 'teleporting').
     useEffect(() => {
         // FIX: Added (currentRoom === doorId) check to ensure we only reset the OLD room
-        // FIX: Added (teleportPhase === 'teleporting') to wait for curtain to close
-        if (isTeleporting && teleportPhase === 'teleporting' && isInsideRoom && currentRoom === doorId) {
+        // FIX: Wait for TELEPORT_MOVING so the curtain is already closed
+        if (sceneState === SCENE_STATES.TELEPORT_MOVING && isInsideRoom && currentRoom === doorId) {
             console.log(`[DoorSection ${label}] Silent Reset triggered by teleport (Old Room)`);
 
             // 1. Reset Internal State immediately
@@ -129,16 +129,15 @@ const DoorSection = ({
             if (doorRef.current) doorRef.current.rotation.y = 0;
             if (handleRef.current) handleRef.current.rotation.z = 0;
 
-            // 3. Reset Camera Override 
-            // Important: DO NOT RELEASE control here. 
-            // Experience.jsx manages the override during "isTeleporting".
-            // If we release it here, useInfiniteCamera takes over before the new room is ready.
-            // setCameraOverride?.(false); <--- REMOVED
+            // 3. Hand back the camera
+            // TeleportRoom owns it while the paper is closed, so this doesn't move it
+            // and the corridor can't take over before the new room is ready.
+            doorCamera.release({ restorePose: false });
 
             // 4. Reset Timers
             if (closeTimerRef.current) clearTimeout(closeTimerRef.current);
         }
-    }, [isTeleporting, teleportPhase, isInsideRoom, currentRoom, doorId, label, setCameraOverride]);
+    }, [sceneState, isInsideRoom, currentRoom, doorId, label, doorCamera]);
 
     // Save camera state before entering room (for ESC exit)
     // Save camera state before entering room (for ESC exit)
@@ -153,7 +152,7 @@ const DoorSection = ({
     const currentTilt = useRef(0);
 
     // Load wall texture
-    const originalWallTexture = useTexture('/textures/corridor/wall_texture.webp');
+    const originalWallTexture = useTierTexture('/textures/corridor/wall_texture.webp');
 
     // Clone texture to have independent repeat settings (fixes scaling issues)
     const wallTexture = useMemo(() => {
@@ -171,12 +170,11 @@ const DoorSection = ({
         return tex;
     }, [originalWallTexture]);
 
-    // Load door textures - use the right texture based on label
-    const doorTexturePath = DOOR_TEXTURES[label] || DOOR_TEXTURES['THE GALLERY'];
-    const doorTexture = useTexture(doorTexturePath);
-    const frameTexture = useTexture('/textures/corridor/doors/ramkasingledoors.webp');
-    const handleTexture = useTexture('/textures/corridor/doors/klamkadodrzwi.webp');
-    const doorBackTexture = useTexture('/textures/corridor/doors/backsingledoors.webp');
+    // Load door textures - this room's door + shared frame/handle/back
+    const doorTexture = useTierTexture(room.doorTexture);
+    const frameTexture = useTierTexture('/textures/corridor/doors/ramkasingledoors.webp');
+    const handleTexture = useTierTexture('/textures/corridor/doors/klamkadodrzwi.webp');
+    const doorBackTexture = useTierTexture('/textures/corridor/doors/backsingledoors.webp');
 
     // Door dimensions - based on texture aspect ratio (door texture ~1:2.5)
     const doorWidth = 1.13;
@@ -310,13 +308,17 @@ const DoorSection = ({
             return;
         }
 
+        // Teleport entries are already 'entering' - a regular click has to be allowed
+        // by the scene (not while another door, a teleport or an exit is running)
+        if (!isTeleport && !beginEnterRoom(doorId)) return;
+
         // Reset cursor on transition
-        document.body.style.cursor = "url('/cursors/cursor-default.png'), auto";
+        document.body.style.cursor = "url('/cursors/cursor-default.webp'), auto";
 
         setIsAnimating(true);
 
-        // Take control of camera from hook
-        setCameraOverride?.(true);
+        // Take control of camera from the corridor
+        doorCamera.acquire();
 
         // Lock tilt so the corridor doesn't rotate while we fly through
         setIsTiltLocked(true);
@@ -387,14 +389,14 @@ const DoorSection = ({
         const rotationProxy = { y: startRotationY };
 
         // Animate camera position and rotation simultaneously
-        gsap.to(camera.position, {
+        animations.to(camera.position, {
             x: cameraTargetX,
             z: cameraTargetZ,
             duration: 1.0,
             ease: 'power2.inOut'
         });
 
-        gsap.to(rotationProxy, {
+        animations.to(rotationProxy, {
             y: targetRotationY,
             duration: 1.0,
             ease: 'power2.inOut',
@@ -417,7 +419,7 @@ const DoorSection = ({
                 //    OR after fallback timeout for rooms without onReady support
                 setShouldRenderRoom(true);
 
-                // Fallback: If room doesn't call onReady within 500ms, open door anyway
+                // Fallback: If room doesn't call onReady in time, open door anyway
                 // This ensures all rooms work even if they don't implement onReady
                 setTimeout(() => {
                     if (!roomReadyRef.current) {
@@ -425,10 +427,10 @@ const DoorSection = ({
                         setRoomReady(true);
                         openDoor();
                     }
-                }, 500);
+                }, room.component ? ROOM_READY_FALLBACK : GENERIC_ROOM_FALLBACK);
             }
         });
-    }, [camera, side, isOpen, isAnimating, setCameraOverride]);
+    }, [camera, side, isOpen, isAnimating, doorCamera, animations, beginEnterRoom, doorId, room.component]);
 
     const openDoor = useCallback(() => {
         if (!doorRef.current) return;
@@ -438,14 +440,14 @@ const DoorSection = ({
 
         // Animate handle down first
         if (handleRef.current) {
-            gsap.to(handleRef.current.rotation, {
+            animations.to(handleRef.current.rotation, {
                 z: side === 'left' ? 0.4 : -0.4,
                 duration: 0.15,
                 ease: 'power2.out'
             });
         }
 
-        gsap.to(doorRef.current.rotation, {
+        animations.to(doorRef.current.rotation, {
             y: openAngle,
             duration: 0.7,
             ease: 'power2.out',
@@ -462,7 +464,7 @@ const DoorSection = ({
                 const targetZ = camera.position.z + direction.z * flyDistance;
 
                 // STEP 1: Fly camera forward in a STRAIGHT LINE
-                gsap.to(camera.position, {
+                animations.to(camera.position, {
                     x: targetX,
                     z: targetZ,
                     duration: 1.5,
@@ -483,14 +485,14 @@ const DoorSection = ({
 
                         // Defer context update to next frame to prevent stutter
                         requestAnimationFrame(() => {
-                            enterRoom(doorId); // Use ID ('gallery') not label ('THE GALLERY')
+                            enterRoom(doorId);
                             onEnter?.();
                         });
                     }
                 });
             }
         });
-    }, [side, onEnter, camera, enterRoom, doorId]);
+    }, [side, onEnter, camera, animations, enterRoom, doorId]);
 
     // Handle room ready callback - open door when room is fully loaded
     // Use ref to prevent multiple calls (state might not update fast enough)
@@ -510,6 +512,9 @@ const DoorSection = ({
 
         setIsAnimating(true);
 
+        // Take the camera from the room before reading its pose
+        exitCamera.acquire();
+
         const saved = savedCameraState.current;
         const aligned = doorAlignedState.current;
 
@@ -531,7 +536,7 @@ const DoorSection = ({
         // Rotation = 0 pitch/bank, Y facing the door (approx same as aligned.rotationY)
         // We assume 'aligned.rotationY' is the correct facing for the door
 
-        gsap.to(camera.position, {
+        animations.to(camera.position, {
             x: aligned.x,
             y: aligned.y,
             z: aligned.z,
@@ -540,7 +545,7 @@ const DoorSection = ({
         });
 
         // Simultaneously animate rotation to level out
-        gsap.to(step1RotationProxy, {
+        animations.to(step1RotationProxy, {
             x: 0, // Level pitch
             y: aligned.rotationY, // Face door
             z: 0, // Level bank
@@ -554,7 +559,7 @@ const DoorSection = ({
                 // This is the reverse of the "align to door" animation
 
                 // 2a. Position
-                gsap.to(camera.position, {
+                animations.to(camera.position, {
                     x: saved.x,
                     y: saved.y,
                     z: saved.z,
@@ -570,7 +575,7 @@ const DoorSection = ({
                     z: camera.rotation.z
                 };
 
-                gsap.to(step2RotationProxy, {
+                animations.to(step2RotationProxy, {
                     x: saved.rotationX,
                     y: saved.rotationY,
                     z: saved.rotationZ,
@@ -603,28 +608,30 @@ const DoorSection = ({
 
                                 setShouldRenderRoom(false);
                                 contextExitRoom();
-                                setCameraOverride?.(false);
+                                // Camera ends on the saved corridor pose - keep it, corridor resumes from here
+                                exitCamera.release({ restorePose: false });
+                                doorCamera.release({ restorePose: false });
                             });
                         });
                     }
                 });
             }
         });
-    }, [isInsideRoom, isAnimating, camera, setCameraOverride, contextExitRoom]);
+    }, [isInsideRoom, isAnimating, camera, doorCamera, exitCamera, animations, contextExitRoom]);
 
-    // ESC key listener for exiting room
+    // ESC key listener for exiting room - goes through the scene like the back button
     useEffect(() => {
         const handleKeyDown = (e) => {
             if (e.key === 'Escape' && isInsideRoom && !isAnimating) {
-                exitRoom();
+                requestExit();
             }
         };
 
         window.addEventListener('keydown', handleKeyDown);
         return () => window.removeEventListener('keydown', handleKeyDown);
-    }, [isInsideRoom, isAnimating, exitRoom]);
+    }, [isInsideRoom, isAnimating, requestExit]);
 
-    // Listen for exit request from UI back button
+    // Listen for exit request from UI back button / ESC / browser Back
     useEffect(() => {
         if (exitRequested && isInsideRoom && !isAnimating) {
             clearExitRequest(); // Clear the request immediately
@@ -640,14 +647,14 @@ const DoorSection = ({
 
         // Reset handle
         if (handleRef.current) {
-            gsap.to(handleRef.current.rotation, {
+            animations.to(handleRef.current.rotation, {
                 z: 0,
                 duration: 0.2,
                 ease: 'power2.out'
             });
         }
 
-        gsap.to(doorRef.current.rotation, {
+        animations.to(doorRef.current.rotation, {
             y: 0,
             duration: 0.6,
             ease: 'power2.in',
@@ -658,17 +665,18 @@ const DoorSection = ({
                 onDoorClosed?.();
             }
         });
-    }, [isOpen]);
+    }, [isOpen, animations]);
 
     // Handle hover effects
     const handlePointerEnter = () => {
         if (isOpen || isAnimating) return;
         setIsHovered(true);
-        document.body.style.cursor = "url('/cursors/cursor-pointer.png'), pointer";
+        document.body.style.cursor = "url('/cursors/cursor-pointer.webp'), pointer";
+        track(ANALYTICS_EVENTS.DOOR_HOVERED, { room: doorId });
 
         // Slightly open door on hover
         if (doorRef.current) {
-            gsap.to(doorRef.current.rotation, {
+            animations.to(doorRef.current.rotation, {
                 y: side === 'left' ? 0.15 : -0.15,
                 duration: 0.3,
                 ease: 'power2.out'
@@ -677,7 +685,7 @@ const DoorSection = ({
 
         // Slightly rotate handle on hover
         if (handleRef.current) {
-            gsap.to(handleRef.current.rotation, {
+            animations.to(handleRef.current.rotation, {
                 z: side === 'left' ? 0.1 : -0.1,
                 duration: 0.2,
                 ease: 'power2.out'
@@ -688,11 +696,11 @@ const DoorSection = ({
     const handlePointerLeave = () => {
         if (isOpen || isAnimating) return;
         setIsHovered(false);
-        document.body.style.cursor = "url('/cursors/cursor-default.png'), auto";
+        document.body.style.cursor = "url('/cursors/cursor-default.webp'), auto";
 
         // Close door
         if (doorRef.current) {
-            gsap.to(doorRef.current.rotation, {
+            animations.to(doorRef.current.rotation, {
                 y: 0,
                 duration: 0.3,
                 ease: 'power2.out'
@@ -701,7 +709,7 @@ const DoorSection = ({
 
         // Reset handle
         if (handleRef.current) {
-            gsap.to(handleRef.current.rotation, {
+            animations.to(handleRef.current.rotation, {
                 z: 0,
                 duration: 0.2,
                 ease: 'power2.out'
@@ -716,16 +724,7 @@ const DoorSection = ({
     // Handle position on door (based on texture - handle is on the right side for left doors)
     const handlePivotX = side === 'left' ? doorWidth * 0.25 : -doorWidth * 0.25;
 
-    // Sign texture mapping
-    const SIGN_TEXTURES = {
-        'THE GALLERY': '/textures/corridor/thegallerysign.webp',
-        'THE STUDIO': '/textures/corridor/thestudiosign.webp',
-        'THE ABOUT': '/textures/corridor/aboutsign.webp',
-        "LET'S CONNECT": '/textures/corridor/contactsign.webp',
-    };
-
-    const signTextureUrl = SIGN_TEXTURES[label];
-    const signTexture = useTexture(signTextureUrl || SIGN_TEXTURES['THE GALLERY']); // Fallback
+    const signTexture = useTierTexture(room.signTexture);
 
     return (
         // Outer group at pivot position (outer edge of wall)
@@ -773,7 +772,7 @@ const DoorSection = ({
                     {/* === DOOR INTERIOR CORRIDOR + ROOM === */}
                     {/* Always render, but pass showRoom prop for lazy loading giant room */}
                     <RoomInterior
-                        label={label}
+                        roomId={doorId}
                         showRoom={shouldRenderRoom}
                         onReady={handleRoomReady}
                         isExiting={isInsideRoom && isAnimating}
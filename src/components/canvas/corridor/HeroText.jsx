@@ -2,6 +2,7 @@ import { useRef, useMemo, useState, useEffect } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
 import { Text } from '@react-three/drei';
 import * as THREE from 'three';
+import useAmbientActivity from '../../../hooks/useAmbientActivity';
 
 // Local fonts for sketch-style typography (TTF format required by troika)
 const RUBIK_SCRIBBLE_URL = '/fonts/RubikScribble-Regular.ttf';
@@ -26,6 +27,9 @@ const HeroText = ({ position = [0, 0.3, 0] }) => {
     const taglineRefs = useRef([]);
     const { camera } = useThree();
 
+    // Letters float + wobble gently while idle
+    useAmbientActivity(24);
+
     // Responsive scale based on screen width - FLUID (no breakpoints)
     const [scale, setScale] = useState(1);
 
@@ -14,8 +14,7 @@ import CorridorSegment, { SEGMENT_LENGTH } from './CorridorSegment';
 const InfiniteCorridorManager = ({
     onDoorEnter,
     hideDoorsForSegments = [], // Segments that should hide their SegmentDoors
-    clipSegmentNeg1 = false, // Whether to clip segment -1 at EntranceDoors
-    setCameraOverride // Function to take over camera control
+    clipSegmentNeg1 = false // Whether to clip segment -1 at EntranceDoors
 }) => {
     const { camera } = useThree();
     const [activeSegments, setActiveSegments] = useState([0]);
@@ -54,7 +53,6 @@ const InfiniteCorridorManager = ({
                     onDoorEnter={onDoorEnter}
                     hideSegmentDoors={hideDoorsForSegments.includes(segmentIndex)}
                     zClip={clipSegmentNeg1 && segmentIndex === -1 ? 22 : 100000}
-                    setCameraOverride={setCameraOverride}
                 />
             ))}
         </group>
@@ -1,12 +1,7 @@
-import { useMemo, memo, lazy, Suspense } from 'react';
+import { useMemo, memo, Suspense } from 'react';
 import { Text } from '@react-three/drei';
 import * as THREE from 'three';
-
-// Lazy load room components
-const GalleryRoom = lazy(() => import('../rooms/Gallery/GalleryRoom'));
-const StudioRoom = lazy(() => import('../rooms/Studio/StudioRoom'));
-const AboutRoom = lazy(() => import('../rooms/About/AboutRoom'));
-const ContactRoom = lazy(() => import('../rooms/Contact/ContactRoom'));
+import { getRoom } from '../../../config/rooms';
 
 // Room configurations
 const ROOM_CONFIG = {
@@ -18,20 +13,15 @@ const ROOM_CONFIG = {
     roomDepth: 25
 };
 
-const SUBTITLES = {
-    'THE GALLERY': 'Explore my creative projects',
-    'THE STUDIO': 'Watch behind the scenes',
-    'DEV DIARY': 'My development journey',
-    "LET'S CONNECT": 'Get in touch with me'
-};
-
 /**
  * RoomInterior Component
  * 
  * Memoized room geometry to prevent re-renders and improve performance.
  * Contains corridor + giant room at the end.
+ * The room itself comes from the room registry (config/rooms) -
+ * rooms without a component get the generic room with their label + subtitle.
  */
-const RoomInterior = memo(({ label, showRoom, onReady, isExiting }) => {
+const RoomInterior = memo(({ roomId, showRoom, onReady, isExiting }) => {
     const { corridorWidth, corridorHeight, corridorDepth, roomWidth, roomHeight, roomDepth } = ROOM_CONFIG;
     const halfDepth = corridorDepth / 2;
     const roomZ = -corridorDepth - roomDepth / 2;
@@ -56,7 +46,8 @@ const RoomInterior = memo(({ label, showRoom, onReady, isExiting }) => {
         roomBackWall: new THREE.PlaneGeometry(roomWidth, roomHeight)
     }), []);
 
-    const isGallery = label === 'THE GALLERY';
+    const room = getRoom(roomId);
+    const RoomComponent = room?.component;
 
     return (
         <group position={[0, -0.149, 0]}>
@@ -96,33 +87,11 @@ const RoomInterior = memo(({ label, showRoom, onReady, isExiting }) => {
             {/* === ROOM CONTENT === */}
             {showRoom && (
                 <group>
-                    {isGallery ? (
-                        // === NEW GALLERY ROOM ===
+                    {RoomComponent ? (
                         // Positioned at the end of the corridor
                         <group position={[0, -0.5, -corridorDepth]}>
                             <Suspense fallback={null}>
-                                <GalleryRoom showRoom={showRoom} onReady={onReady} />
-                            </Suspense>
-                        </group>
-                    ) : label === 'THE STUDIO' ? (
-                        // === NEW STUDIO ROOM ===
-                        <group position={[0, -0.5, -corridorDepth]}>
-                            <Suspense fallback={null}>
-                                <StudioRoom showRoom={showRoom} onReady={onReady} />
-                            </Suspense>
-                        </group>
-                    ) : label === 'THE ABOUT' ? (
-                        // === NEW ABOUT ROOM ===
-                        <group position={[0, -0.5, -corridorDepth]}>
-                            <Suspense fallback={null}>
-                                <AboutRoom showRoom={showRoom} onReady={onReady} isExiting={isExiting} />
-                            </Suspense>
-                        </group>
-                    ) : label === "LET'S CONNECT" ? (
-                        // === NEW CONTACT ROOM ===
-                        <group position={[0, -0.5, -corridorDepth]}>
-                            <Suspense fallback={null}>
-                                <ContactRoom showRoom={showRoom} onReady={onReady} isExiting={isExiting} />
+                                <RoomComponent showRoom={showRoom} onReady={onReady} isExiting={isExiting} />
                             </Suspense>
                         </group>
                     ) : (
@@ -183,7 +152,7 @@ const RoomInterior = memo(({ label, showRoom, onReady, isExiting }) => {
                                 maxWidth={roomWidth * 0.8}
                                 textAlign="center"
                             >
-                                {label}
+                                {room?.label}
                             </Text>
 
                             {/* Subtitle */}
@@ -196,7 +165,7 @@ const RoomInterior = memo(({ label, showRoom, onReady, isExiting }) => {
                                 maxWidth={roomWidth * 0.7}
                                 textAlign="center"
                             >
-                                {SUBTITLES[label] || ''}
+                                {room?.subtitle || ''}
                             </Text>
 
                             {/* Lighting */}
@@ -0,0 +1,91 @@
+import { Suspense, useState, useEffect, useCallback } from 'react';
+import { useThree } from '@react-three/fiber';
+import { getRoom } from '../../../config/rooms';
+import TextureUpload from '../TextureUpload';
+
+/**
+ * RoomWarmup Component
+ *
+ * Gets a teleport destination ready while the paper is closed:
+ * 1. Room JS chunk loaded
+ * 2. Room textures decoded + uploaded (same useTierTexture cache entries the room reads)
+ * 3. Room shaders compiled - the room is mounted hidden (showRoom false) once 1 + 2 are done
+ *    and its own useRoomReady compiles the scene with the room in it.
+ *    Rooms without a component (generic room) compile the scene as is.
+ * Reports progress (0-1) along the way and onReady once all three are done.
+ * Renders nothing visible - TeleportRoom mounts it for the 'teleporting' phase only.
+ */
+
+const RoomWarmup = ({ roomId, onProgress, onReady, onError }) => {
+    const { gl, scene, camera } = useThree();
+    const room = getRoom(roomId);
+    const textureGroups = room.textures;
+    const RoomComponent = room.component;
+
+    const [chunkLoaded, setChunkLoaded] = useState(false);
+    const [loadedGroups, setLoadedGroups] = useState(() => new Set());
+    const [compiled, setCompiled] = useState(false);
+
+    const handleGroupLoaded = useCallback((input) => {
+        setLoadedGroups((groups) => (groups.has(input) ? groups : new Set(groups).add(input)));
+    }, []);
+
+    // 1. Chunk
+    useEffect(() => {
+        let cancelled = false;
+        room.load().then(
+            () => !cancelled && setChunkLoaded(true),
+            (error) => !cancelled && onError?.(error)
+        );
+        return () => { cancelled = true; };
+    }, [room, onError]);
+
+    // 3. Shaders - once everything the room needs is in memory
+    const assetsLoaded = chunkLoaded && loadedGroups.size === textureGroups.length;
+    const handleRoomReady = useCallback(() => setCompiled(true), []);
+
+    useEffect(() => {
+        if (!assetsLoaded || RoomComponent) return;
+
+        let cancelled = false;
+        const compile = 'compileAsync' in gl ? gl.compileAsync(scene, camera) : Promise.resolve();
+        compile.then(
+            () => !cancelled && setCompiled(true),
+            (error) => !cancelled && onError?.(error)
+        );
+        return () => { cancelled = true; };
+    }, [assetsLoaded, RoomComponent, gl, scene, camera, onError]);
+
+    // Progress: chunk + each texture group + compile
+    const steps = textureGroups.length + 2;
+    const done = (chunkLoaded ? 1 : 0) + loadedGroups.size + (compiled ? 1 : 0);
+    useEffect(() => {
+        onProgress?.(done / steps);
+    }, [done, steps, onProgress]);
+
+    useEffect(() => {
+        if (compiled) onReady?.();
+    }, [compiled, onReady]);
+
+    return (
+        <>
+            {/* 2. Textures - a boundary per group so each one reports on its own */}
+            {textureGroups.map((input, index) => (
+                <Suspense key={index} fallback={null}>
+                    <TextureUpload input={input} onLoaded={handleGroupLoaded} />
+                </Suspense>
+            ))}
+
+            {/* 3. The room itself, hidden - compiled with the scene, then dropped for the real one behind the door */}
+            {assetsLoaded && RoomComponent && (
+                <group visible={false}>
+                    <Suspense fallback={null}>
+                        <RoomComponent showRoom={false} onReady={handleRoomReady} />
+                    </Suspense>
+                </group>
+            )}
+        </>
+    );
+};
+
+export default RoomWarmup;
@@ -1,8 +1,8 @@
 import { useRef, useState } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
-import { useTexture } from '@react-three/drei';
+import useTierTexture from '../../../hooks/useTierTexture';
 import * as THREE from 'three';
-import gsap from 'gsap';
+import useAnimationScope from '../../../hooks/useAnimationScope';
 
 /**
  * SegmentDoors Component
@@ -21,17 +21,18 @@ const SegmentDoors = ({
     const rightHandleRef = useRef();
     const [isOpen, setIsOpen] = useState(false);
     const { camera } = useThree();
+    const animations = useAnimationScope('segment-doors', 'door');
 
     // Load textures
     // Note: User provided specific filenames in corridor/doors/
-    const frameTexture = useTexture('/textures/corridor/doors/frame_sketch.webp');
-    const doorLeftTexture = useTexture('/textures/corridor/doors/doorrleft.webp');
-    const doorRightTexture = useTexture('/textures/corridor/doors/dorright.webp');
-    const handleLeftTexture = useTexture('/textures/corridor/doors/handle_left_sketch.webp');
-    const handleRightTexture = useTexture('/textures/corridor/doors/handle_right_sketch.webp');
-    const doorBackTexture = useTexture('/textures/doors/door_back_left_sketch.webp');
-    const edgeTexture = useTexture('/textures/corridor/doors/pien.webp');
-    const wallTexture = useTexture('/textures/corridor/wall_texture.webp');
+    const frameTexture = useTierTexture('/textures/corridor/doors/frame_sketch.webp');
+    const doorLeftTexture = useTierTexture('/textures/corridor/doors/doorrleft.webp');
+    const doorRightTexture = useTierTexture('/textures/corridor/doors/dorright.webp');
+    const handleLeftTexture = useTierTexture('/textures/corridor/doors/handle_left_sketch.webp');
+    const handleRightTexture = useTierTexture('/textures/corridor/doors/handle_right_sketch.webp');
+    const doorBackTexture = useTierTexture('/textures/doors/door_back_left_sketch.webp');
+    const edgeTexture = useTierTexture('/textures/corridor/doors/pien.webp');
+    const wallTexture = useTierTexture('/textures/corridor/wall_texture.webp');
 
     wallTexture.wrapS = wallTexture.wrapT = THREE.RepeatWrapping;
 
@@ -77,38 +78,38 @@ const SegmentDoors = ({
 
             // Animate Handles
             if (leftHandleRef.current) {
-                gsap.to(leftHandleRef.current.rotation, { z: 0.4, duration: 0.15, ease: 'power2.out' });
+                animations.to(leftHandleRef.current.rotation, { z: 0.4, duration: 0.15, ease: 'power2.out' });
             }
             if (rightHandleRef.current) {
-                gsap.to(rightHandleRef.current.rotation, { z: -0.4, duration: 0.15, ease: 'power2.out' });
+                animations.to(rightHandleRef.current.rotation, { z: -0.4, duration: 0.15, ease: 'power2.out' });
             }
 
             // Open Doors
-            gsap.to(leftDoorRef.current.rotation, { y: -Math.PI * 0.55, duration: 0.9, ease: 'power2.out', delay: 0.1 });
-            gsap.to(rightDoorRef.current.rotation, { y: Math.PI * 0.55, duration: 0.9, ease: 'power2.out', delay: 0.1 });
+            animations.to(leftDoorRef.current.rotation, { y: -Math.PI * 0.55, duration: 0.9, ease: 'power2.out', delay: 0.1 });
+            animations.to(rightDoorRef.current.rotation, { y: Math.PI * 0.55, duration: 0.9, ease: 'power2.out', delay: 0.1 });
         }
 
         if (distance > closeDistance && isOpen) {
             setIsOpen(false);
 
             // Close Doors
-            gsap.to(leftDoorRef.current.rotation, { y: 0, duration: 0.7, ease: 'power2.in' });
-            gsap.to(rightDoorRef.current.rotation, { y: 0, duration: 0.7, ease: 'power2.in' });
+            animations.to(leftDoorRef.current.rotation, { y: 0, duration: 0.7, ease: 'power2.in' });
+            animations.to(rightDoorRef.current.rotation, { y: 0, duration: 0.7, ease: 'power2.in' });
 
             // Reset Handles
             if (leftHandleRef.current) {
-                gsap.to(leftHandleRef.current.rotation, { z: 0, duration: 0.2, ease: 'power2.out', delay: 0.5 });
+                animations.to(leftHandleRef.current.rotation, { z: 0, duration: 0.2, ease: 'power2.out', delay: 0.5 });
             }
             if (rightHandleRef.current) {
-                gsap.to(rightHandleRef.current.rotation, { z: 0, duration: 0.2, ease: 'power2.out', delay: 0.5 });
+                animations.to(rightHandleRef.current.rotation, { z: 0, duration: 0.2, ease: 'power2.out', delay: 0.5 });
             }
         }
     });
 
     // Wall Decorations
-    const whileTrueTexture = useTexture('/textures/corridor/decorations/while_true_loop.webp');
-    const coffeeTexture = useTexture('/textures/corridor/decorations/coffee_debug.webp');
-    const ideaTexture = useTexture('/textures/corridor/decorations/idea_process.webp');
+    const whileTrueTexture = useTierTexture('/textures/corridor/decorations/while_true_loop.webp');
+    const coffeeTexture = useTierTexture('/textures/corridor/decorations/coffee_debug.webp');
+    const ideaTexture = useTierTexture('/textures/corridor/decorations/idea_process.webp');
 
     return (
         <group position={[position[0], 0, position[2]]}>
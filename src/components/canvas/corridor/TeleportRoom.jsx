@@ -1,15 +1,17 @@
-import { memo, useEffect, useRef } from 'react';
+import { memo, useEffect, useRef, useCallback } from 'react';
 import { useThree } from '@react-three/fiber';
 import { useScene } from '../../../context/SceneContext';
+import { SCENE_STATES } from '../../../context/sceneMachine';
+import { getDoorZ } from '../../../config/rooms';
+import { CAMERA_PRIORITY } from '../../../camera/cameraControllers';
+import useCameraControl from '../../../hooks/useCameraControl';
+import RoomWarmup from './RoomWarmup';
 
-// Door positions (Global Z for Segment 0)
-// Calculation: 10 (Start Z) + Relative Z + 2 (Door Offset)
-const DOOR_POSITIONS_Z = {
-    'gallery': -6,   // 10 - 18 + 2
-    'studio': -20,   // 10 - 32 + 2
-    'about': -36,    // 10 - 48 + 2
-    'contact': -50   // 10 - 62 + 2
-};
+// Give up on a destination that isn't ready after this long (slow network, failed chunk) -
+// counted from when the Preloader is gone, a deep link behind it waits with the rest of the page
+const READY_TIMEOUT = 12000;
+const TIMEOUT_NOTICE = 'That room is taking too long to load - try its door again in a moment.';
+const FAILED_NOTICE = "That room couldn't be loaded - try its door again in a moment.";
 
 /**
  * TeleportRoom Component
@@ -17,23 +19,38 @@ const DOOR_POSITIONS_Z = {
  * Handles moving the camera to the correct corridor position during teleport.
  * Instead of rendering the room, it:
  * 1. Moves camera to ~8 units before the door
- * 2. Signals PaperTransition to open
- * 3. SceneContext then triggers 'pendingDoorClick' which DoorSection picks up
+ * 2. Waits for the room to be ready (RoomWarmup: chunk, textures, shaders)
+ * 3. Signals PaperTransition to open - or cancels the teleport if that takes too long
+ * 4. SceneContext then triggers 'pendingDoorClick' which DoorSection picks up
  */
-const TeleportRoom = memo(() => {
+const TeleportRoom = memo(({ isLoaded = true }) => {
     const {
+        sceneState,
         teleportTarget,
-        teleportPhase,
         openTeleportTransition,
-        isTeleporting
+        reportTeleportProgress,
+        cancelTeleport,
+        isTeleporting,
+        teleportPhase
     } = useScene();
     const { camera } = useThree();
     const hasPositioned = useRef(false);
+    const teleportCamera = useCameraControl('teleport', CAMERA_PRIORITY.TRANSITION);
 
-    // Position camera when entering 'teleporting' phase
+    // Own the camera while the paper is closing / closed / opening
+    // (the target door takes it over from there)
+    const isPaperPhase = teleportPhase !== null;
     useEffect(() => {
-        if (teleportPhase === 'teleporting' && teleportTarget && !hasPositioned.current) {
-            const doorZ = DOOR_POSITIONS_Z[teleportTarget];
+        if (!isPaperPhase) return;
+
+        teleportCamera.acquire();
+        return () => teleportCamera.release({ restorePose: false });
+    }, [isPaperPhase, teleportCamera]);
+
+    // Position camera once the paper is closed
+    useEffect(() => {
+        if (sceneState === SCENE_STATES.TELEPORT_MOVING && teleportTarget && !hasPositioned.current) {
+            const doorZ = getDoorZ(teleportTarget);
 
             if (doorZ !== undefined) {
                 // Place camera 8 units "before" the door (towards positive Z)
@@ -50,11 +67,10 @@ const TeleportRoom = memo(() => {
 
                 hasPositioned.current = true;
 
-                // Signal ready immediately (no loading needed since we're just in corridor)
-                // Small delay to ensure frame update
-                setTimeout(() => {
-                    openTeleportTransition();
-                }, 50);
+                // RoomWarmup opens the paper once the room is ready
+            } else {
+                // No door for this room - don't leave the paper closed forever
+                cancelTeleport();
             }
         }
 
@@ -62,10 +78,35 @@ const TeleportRoom = memo(() => {
         if (!isTeleporting) {
             hasPositioned.current = false;
         }
-    }, [teleportPhase, teleportTarget, isTeleporting, camera, openTeleportTransition]);
+    }, [sceneState, teleportTarget, isTeleporting, camera, cancelTeleport]);
+
+    // Destination warm-up while the paper is closed
+    const isWarmingUp = sceneState === SCENE_STATES.TELEPORT_MOVING && getDoorZ(teleportTarget) !== undefined;
+
+    useEffect(() => {
+        if (!isWarmingUp || !isLoaded) return;
+
+        const timer = setTimeout(() => cancelTeleport(TIMEOUT_NOTICE), READY_TIMEOUT);
+        return () => clearTimeout(timer);
+    }, [isWarmingUp, isLoaded, cancelTeleport]);
+
+    const handleWarmupError = useCallback((error) => {
+        if (import.meta.env.DEV) console.warn('[TeleportRoom] Destination failed to load', error);
+        cancelTeleport(FAILED_NOTICE);
+    }, [cancelTeleport]);
+
+    // Nothing visible - we just manipulate the camera and load the destination
+    if (!isWarmingUp) return null;
 
-    // Don't render anything - we just manipulate camera
-    return null;
+    return (
+        <RoomWarmup
+            key={teleportTarget}
+            roomId={teleportTarget}
+            onProgress={reportTeleportProgress}
+            onReady={openTeleportTransition}
+            onError={handleWarmupError}
+        />
+    );
 });
 
 TeleportRoom.displayName = 'TeleportRoom';
@@ -1,7 +1,7 @@
 import { useMemo, useState } from 'react';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
-import { useTexture } from '@react-three/drei';
+import useTierTexture from '../../../hooks/useTierTexture';
 
 /**
  * EmptyCorridor Component
@@ -16,7 +16,7 @@ const EmptyCorridor = ({ camera }) => {
     const [segmentBase, setSegmentBase] = useState(0);
 
     // Load floor texture
-    const floorTexture = useTexture('/textures/entrance/floor_paper.webp');
+    const floorTexture = useTierTexture('/textures/entrance/floor_paper.webp');
     floorTexture.wrapS = floorTexture.wrapT = THREE.RepeatWrapping;
     floorTexture.repeat.set(4, 20); // Adjust repeat to match aspect ratio (2816x1536)
 
@@ -1,8 +1,10 @@
 import { useRef, useState } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
-import { Text, useTexture } from '@react-three/drei';
+import { Text } from '@react-three/drei';
+import useTierTexture from '../../../hooks/useTierTexture';
 import * as THREE from 'three';
-import gsap from 'gsap';
+import useAnimationScope from '../../../hooks/useAnimationScope';
+import useAmbientActivity from '../../../hooks/useAmbientActivity';
 
 // Use same font as App.jsx preload (Inter) - works reliably
 const FONT_URL = 'https://fonts.gstatic.com/s/inter/v12/UcCO3FwrK3iLTeHuS_fvQtMwCp50KnMw2boKoduKmMEVuLyfAZ9hjp-Ek-_EeA.woff';
@@ -18,6 +20,7 @@ const FONT_URL = 'https://fonts.gstatic.com/s/inter/v12/UcCO3FwrK3iLTeHuS_fvQtMw
 const EntranceDoors = ({
     position = [0, 0, 22],
     onComplete,
+    cameraEndZ = 11, // Where the fly-through stops
     corridorHeight = 8, // Taller wall
     corridorWidth = 15 // Wider wall
 }) => {
@@ -27,31 +30,34 @@ const EntranceDoors = ({
     const rightHandleRef = useRef();
     const groupRef = useRef();
     const [isOpen, setIsOpen] = useState(false);
+    const animations = useAnimationScope('entrance', 'entrance');
+    // Swinging mouse + wandering bug while the visitor hasn't clicked yet
+    useAmbientActivity(24);
     const [isHovered, setIsHovered] = useState(false);
     const [isAnimating, setIsAnimating] = useState(false);
     const [isWindowHovered, setIsWindowHovered] = useState(false);
     const windowAvatarRef = useRef();
     const { camera } = useThree();
-    const frameTexture = useTexture('/textures/doors/frame_sketch.webp');
-    const doorLeftTexture = useTexture('/textures/doors/door_left_sketch.webp');
-    const doorRightTexture = useTexture('/textures/doors/door_right_sketch.webp');
-    const handleLeftTexture = useTexture('/textures/doors/handle_left_sketch.webp');
-    const handleRightTexture = useTexture('/textures/doors/handle_right_sketch.webp');
-    const doorBackTexture = useTexture('/textures/doors/door_back_left_sketch.webp');
-    const edgeTexture = useTexture('/textures/doors/pien.webp');
-    const bricksTexture = useTexture('/textures/entrance/wall_bricks_2.webp');
-    const stonePathTexture = useTexture('/textures/entrance/stone-path.webp');
+    const frameTexture = useTierTexture('/textures/doors/frame_sketch.webp');
+    const doorLeftTexture = useTierTexture('/textures/doors/door_left_sketch.webp');
+    const doorRightTexture = useTierTexture('/textures/doors/door_right_sketch.webp');
+    const handleLeftTexture = useTierTexture('/textures/doors/handle_left_sketch.webp');
+    const handleRightTexture = useTierTexture('/textures/doors/handle_right_sketch.webp');
+    const doorBackTexture = useTierTexture('/textures/doors/door_back_left_sketch.webp');
+    const edgeTexture = useTierTexture('/textures/doors/pien.webp');
+    const bricksTexture = useTierTexture('/textures/entrance/wall_bricks_2.webp');
+    const stonePathTexture = useTierTexture('/textures/entrance/stone-path.webp');
     // const catTexture = useTexture('/textures/entrance/cat_sketch.webp'); // Old side cat
-    const catFrontBodyTexture = useTexture('/textures/entrance/cat_front_body.webp');
-    const windowSketchTexture = useTexture('/textures/entrance/window_sketch.webp');
-    const avatarWindowTexture = useTexture('/textures/entrance/avatar_window.webp');
-    const avatarTexture = useTexture('/images/avatar-happy.webp');
-    const treeTexture = useTexture('/textures/entrance/tree_sketch.webp');
-    const mouseTexture = useTexture('/textures/entrance/mouse_hanging.webp');
-    const potTexture = useTexture('/textures/entrance/pot_with_duck.webp');
-    const bugTexture = useTexture('/textures/entrance/bug_sketch.webp');
-    const inkSplashTexture = useTexture('/images/ink-splash.webp');
-    const speechBubbleTexture = useTexture('/textures/entrance/speech_bubble.webp');
+    const catFrontBodyTexture = useTierTexture('/textures/entrance/cat_front_body.webp');
+    const windowSketchTexture = useTierTexture('/textures/entrance/window_sketch.webp');
+    const avatarWindowTexture = useTierTexture('/textures/entrance/avatar_window.webp');
+    const avatarTexture = useTierTexture('/images/avatar-happy.webp');
+    const treeTexture = useTierTexture('/textures/entrance/tree_sketch.webp');
+    const mouseTexture = useTierTexture('/textures/entrance/mouse_hanging.webp');
+    const potTexture = useTierTexture('/textures/entrance/pot_with_duck.webp');
+    const bugTexture = useTierTexture('/textures/entrance/bug_sketch.webp');
+    const inkSplashTexture = useTierTexture('/images/ink-splash.webp');
+    const speechBubbleTexture = useTierTexture('/textures/entrance/speech_bubble.webp');
 
     // Cat Ref
     const leftPupilRef = useRef();
@@ -100,7 +106,7 @@ const EntranceDoors = ({
         }
 
         setIsBugClicked(true);
-        document.body.style.cursor = "url('/cursors/cursor-default.png'), auto";
+        document.body.style.cursor = "url('/cursors/cursor-default.webp'), auto";
 
         // Animate ink splash scale up
         if (inkSplashRef.current) {
@@ -110,7 +116,7 @@ const EntranceDoors = ({
             inkSplashRef.current.scale.set(0, 0, 0);
             inkSplashRef.current.material.opacity = 1;
 
-            gsap.to(inkSplashRef.current.scale, {
+            animations.to(inkSplashRef.current.scale, {
                 x: 0.8,
                 y: 0.8,
                 z: 1,
@@ -124,7 +130,7 @@ const EntranceDoors = ({
         setClipProgress(0);
 
         // Animate clip progress from 0 to 1 (reveals text like pencil drawing)
-        gsap.to({ progress: 0 }, {
+        animations.to({ progress: 0 }, {
             progress: 1,
             duration: 0.8,
             ease: 'power1.inOut',
@@ -135,7 +141,7 @@ const EntranceDoors = ({
                 // Fade out after a delay
                 setTimeout(() => {
                     if (inkSplashRef.current) {
-                        gsap.to(inkSplashRef.current.material, {
+                        animations.to(inkSplashRef.current.material, {
                             opacity: 0,
                             duration: 1,
                             ease: 'power2.out'
@@ -159,7 +165,7 @@ const EntranceDoors = ({
         // Scale in animation for speech bubble
         if (speechBubbleRef.current) {
             speechBubbleRef.current.scale.set(0, 0, 0);
-            gsap.to(speechBubbleRef.current.scale, {
+            animations.to(speechBubbleRef.current.scale, {
                 x: 1,
                 y: 1,
                 z: 1,
@@ -171,7 +177,7 @@ const EntranceDoors = ({
         // Hide after 3 seconds
         setTimeout(() => {
             if (speechBubbleRef.current) {
-                gsap.to(speechBubbleRef.current.scale, {
+                animations.to(speechBubbleRef.current.scale, {
                     x: 0,
                     y: 0,
                     z: 0,
@@ -220,12 +226,12 @@ const EntranceDoors = ({
         if (isOpen || isAnimating) return;
 
         // Reset cursor immediately on transition start
-        document.body.style.cursor = "url('/cursors/cursor-default.png'), auto";
+        document.body.style.cursor = "url('/cursors/cursor-default.webp'), auto";
 
         setIsOpen(true);
         setIsAnimating(true);
 
-        const tl = gsap.timeline({
+        const tl = animations.timeline({
             onComplete: () => {
                 onComplete?.();
             }
@@ -262,7 +268,7 @@ const EntranceDoors = ({
 
         // Camera flies through - STOP CLOSER to avatar/ITOM
         tl.to(camera.position, {
-            z: 11,  // Closer stop point (was 11)
+            z: cameraEndZ,  // Closer stop point
             y: 0.2, // Match hook's base Y position
             duration: 1.8,
             ease: 'power2.inOut'
@@ -273,15 +279,15 @@ const EntranceDoors = ({
     const handlePointerEnter = () => {
         if (isOpen || isAnimating) return;
         setIsHovered(true);
-        document.body.style.cursor = "url('/cursors/cursor-pointer.png'), pointer";
+        document.body.style.cursor = "url('/cursors/cursor-pointer.webp'), pointer";
 
         // Slightly open doors on hover
-        gsap.to(leftDoorRef.current.rotation, {
+        animations.to(leftDoorRef.current.rotation, {
             y: -0.08,
             duration: 0.3,
             ease: 'power2.out'
         });
-        gsap.to(rightDoorRef.current.rotation, {
+        animations.to(rightDoorRef.current.rotation, {
             y: 0.08,
             duration: 0.3,
             ease: 'power2.out'
@@ -289,14 +295,14 @@ const EntranceDoors = ({
 
         // Rotate handles down slightly (hint effect)
         if (leftHandleRef.current) {
-            gsap.to(leftHandleRef.current.rotation, {
+            animations.to(leftHandleRef.current.rotation, {
                 z: 0.1,
                 duration: 0.2,
                 ease: 'power2.out'
             });
         }
         if (rightHandleRef.current) {
-            gsap.to(rightHandleRef.current.rotation, {
+            animations.to(rightHandleRef.current.rotation, {
                 z: -0.1,
                 duration: 0.2,
                 ease: 'power2.out'
@@ -307,15 +313,15 @@ const EntranceDoors = ({
     const handlePointerLeave = () => {
         if (isOpen || isAnimating) return;
         setIsHovered(false);
-        document.body.style.cursor = "url('/cursors/cursor-default.png'), auto";
+        document.body.style.cursor = "url('/cursors/cursor-default.webp'), auto";
 
         // Close doors back
-        gsap.to(leftDoorRef.current.rotation, {
+        animations.to(leftDoorRef.current.rotation, {
             y: 0,
             duration: 0.3,
             ease: 'power2.out'
         });
-        gsap.to(rightDoorRef.current.rotation, {
+        animations.to(rightDoorRef.current.rotation, {
             y: 0,
             duration: 0.3,
             ease: 'power2.out'
@@ -323,14 +329,14 @@ const EntranceDoors = ({
 
         // Reset handles
         if (leftHandleRef.current) {
-            gsap.to(leftHandleRef.current.rotation, {
+            animations.to(leftHandleRef.current.rotation, {
                 z: 0,
                 duration: 0.2,
                 ease: 'power2.out'
             });
         }
         if (rightHandleRef.current) {
-            gsap.to(rightHandleRef.current.rotation, {
+            animations.to(rightHandleRef.current.rotation, {
                 z: 0,
                 duration: 0.2,
                 ease: 'power2.out'
@@ -398,15 +404,15 @@ const EntranceDoors = ({
     const handleWindowEnter = (e) => {
         e.stopPropagation();
         setIsWindowHovered(true);
-        document.body.style.cursor = "url('/cursors/cursor-pointer.png'), pointer";
+        document.body.style.cursor = "url('/cursors/cursor-pointer.webp'), pointer";
 
         if (windowAvatarRef.current) {
-            gsap.to(windowAvatarRef.current.position, {
+            animations.to(windowAvatarRef.current.position, {
                 x: 2.5, // Slide into window position
                 duration: 0.5,
                 ease: 'back.out(1.7)'
             });
-            gsap.to(windowAvatarRef.current.rotation, {
+            animations.to(windowAvatarRef.current.rotation, {
                 z: 0.1, // Slight tilt
                 duration: 0.5,
                 ease: 'power2.out'
@@ -417,15 +423,15 @@ const EntranceDoors = ({
     const handleWindowLeave = (e) => {
         e.stopPropagation();
         setIsWindowHovered(false);
-        document.body.style.cursor = "url('/cursors/cursor-default.png'), auto";
+        document.body.style.cursor = "url('/cursors/cursor-default.webp'), auto";
 
         if (windowAvatarRef.current) {
-            gsap.to(windowAvatarRef.current.position, {
+            animations.to(windowAvatarRef.current.position, {
                 x: 3.5, // Slide back behind bricks
                 duration: 0.4,
                 ease: 'power2.in'
             });
-            gsap.to(windowAvatarRef.current.rotation, {
+            animations.to(windowAvatarRef.current.rotation, {
                 z: 0,
                 duration: 0.4,
                 ease: 'power2.in'
@@ -660,8 +666,8 @@ const EntranceDoors = ({
                 <mesh
                     position={[0.38, 0.1, 0.01]}
                     onClick={handleDuckClick}
-                    onPointerEnter={() => { document.body.style.cursor = "url('/cursors/cursor-pointer.png'), pointer"; }}
-                    onPointerLeave={() => { document.body.style.cursor = "url('/cursors/cursor-default.png'), auto"; }}
+                    onPointerEnter={() => { document.body.style.cursor = "url('/cursors/cursor-pointer.webp'), pointer"; }}
+                    onPointerLeave={() => { document.body.style.cursor = "url('/cursors/cursor-default.webp'), auto"; }}
                 >
                     <planeGeometry args={[0.6, 0.6]} />
                     <meshBasicMaterial transparent opacity={0} />
@@ -709,8 +715,8 @@ const EntranceDoors = ({
                     ref={bugRef}
                     position={[2.5, floorY + 2.8, 0.16]}
                     onClick={handleBugClick}
-                    onPointerEnter={() => { document.body.style.cursor = "url('/cursors/cursor-pointer.png'), pointer"; }}
-                    onPointerLeave={() => { document.body.style.cursor = "url('/cursors/cursor-default.png'), auto"; }}
+                    onPointerEnter={() => { document.body.style.cursor = "url('/cursors/cursor-pointer.webp'), pointer"; }}
+                    onPointerLeave={() => { document.body.style.cursor = "url('/cursors/cursor-default.webp'), auto"; }}
                 >
                     <planeGeometry args={[0.4, 0.4]} />
                     <meshStandardMaterial
@@ -1,16 +1,20 @@
 import { useRef, useMemo } from 'react';
-import { useTexture } from '@react-three/drei';
+import useTierTexture from '../../../hooks/useTierTexture';
+import useAmbientActivity from '../../../hooks/useAmbientActivity';
 import { useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
 
 const SignSystem = (props) => {
     const groupRef = useRef();
-    const signTexture = useTexture('/textures/entrance/sign.webp');
-    const mountTexture = useTexture('/textures/entrance/belka.webp');
+    const signTexture = useTierTexture('/textures/entrance/sign.webp');
+    const mountTexture = useTierTexture('/textures/entrance/belka.webp');
 
     // Physics parameters
     const timeOffset = useMemo(() => Math.random() * 100, []);
 
+    // Wind sway keeps going while the visitor waits at the entrance
+    useAmbientActivity(24);
+
     useFrame((state) => {
         if (groupRef.current) {
             // Simple wind sway (idle animation only)
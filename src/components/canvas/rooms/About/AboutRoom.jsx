@@ -4,6 +4,9 @@ import { Text } from '@react-three/drei';
 import * as THREE from 'three';
 import PaperAirplane from './PaperAirplane';
 import InfiniteSkyManager from './InfiniteSkyManager';
+import { CAMERA_PRIORITY } from '../../../../camera/cameraControllers';
+import useCameraControl from '../../../../hooks/useCameraControl';
+import useRoomReady from '../../../../hooks/useRoomReady';
 // useScene removed as exit logic is now prop-driven
 
 // Chunk length for looping flight effect (matches SkyChunk)
@@ -11,11 +14,11 @@ const CHUNK_LENGTH = 40;
 
 const AboutRoom = ({ showRoom, onReady, isExiting }) => {
     const { camera } = useThree();
+    const roomCamera = useCameraControl('room:about', CAMERA_PRIORITY.ROOM);
 
-    // Track if we've signaled ready
-    const hasSignaledReady = useRef(false);
-    const frameCount = useRef(0);
-    const FRAMES_TO_WAIT = 5;
+    // Textures uploaded + shaders compiled before the door opens
+    const roomRef = useRef();
+    useRoomReady(roomRef, onReady);
 
     // Momentum-based scroll state
     const scrollPosition = useRef(0);
@@ -30,16 +33,8 @@ const AboutRoom = ({ showRoom, onReady, isExiting }) => {
     const currentBank = useRef(0);
     const currentPitch = useRef(0);
 
-    // Ready detection + flight animation
+    // Flight animation
     useFrame((state, delta) => {
-        if (!hasSignaledReady.current) {
-            frameCount.current++;
-            if (frameCount.current >= FRAMES_TO_WAIT) {
-                hasSignaledReady.current = true;
-                onReady?.();
-            }
-        }
-
         // Apply velocity to position (momentum)
         scrollPosition.current += scrollVelocity.current * delta * 60;
         // No clamp - allow flying backward too!
@@ -60,9 +55,10 @@ const AboutRoom = ({ showRoom, onReady, isExiting }) => {
         }
 
         // === FLIGHT EFFECT (camera rotation only) ===
-        // Activate flight only after first scroll
-        if (!isFlightActive.current && scrollPosition.current > 0.5) {
+        // Activate flight only after first scroll (never for the hidden teleport warm-up copy)
+        if (!isFlightActive.current && showRoom && scrollPosition.current > 0.5) {
             isFlightActive.current = true;
+            roomCamera.acquire();
             baseCameraRotation.current = {
                 x: camera.rotation.x,
                 y: camera.rotation.y,
@@ -70,7 +66,7 @@ const AboutRoom = ({ showRoom, onReady, isExiting }) => {
             };
         }
 
-        if (isFlightActive.current) {
+        if (isFlightActive.current && roomCamera.isOwner()) {
             // Get position within current chunk (0 to 1)
             const chunkProgress = (scrollPosition.current % CHUNK_LENGTH) / CHUNK_LENGTH;
 
@@ -89,6 +85,11 @@ const AboutRoom = ({ showRoom, onReady, isExiting }) => {
         }
     });
 
+    // Exit animation has the camera now - hand it over for good
+    useEffect(() => {
+        if (isExiting) roomCamera.release({ restorePose: false });
+    }, [isExiting, roomCamera]);
+
     // Handle scroll wheel (desktop)
     useEffect(() => {
         const handleWheel = (e) => {
@@ -130,7 +131,7 @@ const AboutRoom = ({ showRoom, onReady, isExiting }) => {
     const airplaneBank = -currentBank.current * 2;
 
     return (
-        <group position={[0, 0, -5]}>
+        <group ref={roomRef} position={[0, 0, -5]}>
             {/* === PAPER AIRPLANE (follows camera maneuvers) === */}
             <PaperAirplane
                 position={[0, -0.3, -2]}
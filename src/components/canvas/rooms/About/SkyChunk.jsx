@@ -1,12 +1,16 @@
 import { useMemo, useRef } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
 import * as THREE from 'three';
+import { usePerformance } from '../../../../context/PerformanceContext';
+import { scaleCount } from '../../../../config/performance';
+import useAmbientActivity from '../../../../hooks/useAmbientActivity';
 
 /**
  * SkyChunk Component
  * 
  * A single repeatable segment of sky with clouds.
  * Clouds fade out smoothly when too close to camera.
+ * Cloud count scales with the tier's particleCount.
  */
 const CHUNK_LENGTH = 40;
 const CHUNK_WIDTH = 20;
@@ -17,11 +21,17 @@ const FADE_END_Z = -4;
 
 const SkyChunk = ({ chunkIndex = 0, seed = 0 }) => {
     const zOffset = -(chunkIndex * CHUNK_LENGTH) - 15;
+    const { settings } = usePerformance();
+    const { particleCount } = settings;
+
+    // Cloud fades ease in after the camera stops - a low rate is enough to finish them
+    useAmbientActivity(15);
 
     const clouds = useMemo(() => {
         const items = [];
         const random = seededRandom(seed + chunkIndex * 1000);
-        const cloudCount = 6 + Math.floor(random() * 4);
+        // Same seed -> lower tiers keep the first clouds of the full set
+        const cloudCount = scaleCount(6 + Math.floor(random() * 4), particleCount);
 
         for (let i = 0; i < cloudCount; i++) {
             const x = (random() - 0.5) * CHUNK_WIDTH;
@@ -37,7 +47,7 @@ const SkyChunk = ({ chunkIndex = 0, seed = 0 }) => {
         }
 
         return items;
-    }, [chunkIndex, seed, zOffset]);
+    }, [chunkIndex, seed, zOffset, particleCount]);
 
     return (
         <group>
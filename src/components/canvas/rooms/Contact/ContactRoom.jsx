@@ -3,6 +3,11 @@ import { useFrame, useThree } from '@react-three/fiber';
 import { useCursor, Text } from '@react-three/drei';
 import * as THREE from 'three';
 import gsap from 'gsap';
+import { track, ANALYTICS_EVENTS } from '../../../../analytics/eventBus';
+import { CAMERA_PRIORITY } from '../../../../camera/cameraControllers';
+import useCameraControl from '../../../../hooks/useCameraControl';
+import useRoomReady from '../../../../hooks/useRoomReady';
+import useAmbientActivity from '../../../../hooks/useAmbientActivity';
 
 // ============================================
 // 🌊 CONTACT ROOM v2 - MESSAGE IN A BOTTLE
@@ -45,26 +50,29 @@ const PHASE = {
 const ContactRoom = ({ showRoom, onReady, isExiting }) => {
     const { camera } = useThree();
 
-    useEffect(() => {
-        // Set rotation order to YXZ to prevent Gimbal lock and mixing of axes
-        // Y = Body turn (Yaw), X = Head tilt (Pitch), Z = Roll
-        camera.rotation.order = 'YXZ';
-    }, [camera]);
+    // Rotation order YXZ while we own the camera - prevents Gimbal lock and mixing of axes
+    // Y = Body turn (Yaw), X = Head tilt (Pitch), Z = Roll
+    // (handed back as it was on release)
+    const roomCamera = useCameraControl('room:contact', CAMERA_PRIORITY.ROOM, { rotationOrder: 'YXZ' });
+
+    // Textures uploaded + shaders compiled before the door opens
+    const roomRef = useRef();
+    const isReady = useRoomReady(roomRef, onReady);
 
-    // Track if we've signaled ready
-    const hasSignaledReady = useRef(false);
-    const frameCount = useRef(0);
-    const FRAMES_TO_WAIT = 5;
+    // Waves + floating bottle
+    useAmbientActivity(24);
 
     // Phase state
     const [currentPhase, setCurrentPhase] = useState(PHASE.ENTERING);
 
+    // Not for the hidden teleport warm-up copy (showRoom false)
+    useEffect(() => {
+        if (showRoom) track(ANALYTICS_EVENTS.CONTACT_PHASE_CHANGED, { phase: currentPhase });
+    }, [currentPhase, showRoom]);
+
     // Store original camera rotation to restore later
     const originalCameraRotation = useRef({ x: 0, y: 0, z: 0 });
     const hasAnimatedDown = useRef(false);
-    // Latch exit state to prevent glitch
-    const hasExitTriggered = useRef(false);
-    if (isExiting) hasExitTriggered.current = true;
 
     // Refs for animations
     const waveRefs = useRef([]);
@@ -86,9 +94,9 @@ const ContactRoom = ({ showRoom, onReady, isExiting }) => {
     const targetRotZ = useRef(0);
 
     useEffect(() => {
-        if (hasSignaledReady.current && !hasAnimatedDown.current && showRoom) {
+        if (isReady && !hasAnimatedDown.current && showRoom) {
             hasAnimatedDown.current = true;
-            hasExitTriggered.current = false; // Reset latch
+            roomCamera.acquire();
 
             // Capture landing rotation (usually 0,0,0)
             targetRotX.current = camera.rotation.x;
@@ -128,7 +136,7 @@ const ContactRoom = ({ showRoom, onReady, isExiting }) => {
         // EXIT ANIMATION CLEANUP
         // When room is finally hidden, reset everything
         if (!showRoom) {
-            hasExitTriggered.current = false;
+            roomCamera.release({ restorePose: false });
             if (hasAnimatedDown.current) {
                 hasAnimatedDown.current = false;
                 setCurrentPhase(PHASE.ENTERING);
@@ -137,38 +145,23 @@ const ContactRoom = ({ showRoom, onReady, isExiting }) => {
                 targetRotZ.current = 0;
             }
         }
-    }, [hasSignaledReady.current, showRoom, camera]);
+    }, [isReady, showRoom, camera, roomCamera]);
+
+    // DoorSection takes the camera for the exit animation (position + rotation) - don't take it back
+    useEffect(() => {
+        if (isExiting) roomCamera.release({ restorePose: false });
+    }, [isExiting, roomCamera]);
 
     // Frame Loop
     useFrame((state, delta) => {
-        if (!hasSignaledReady.current) {
-            frameCount.current++;
-            if (frameCount.current >= FRAMES_TO_WAIT) {
-                hasSignaledReady.current = true;
-                onReady?.();
-            }
-        }
-
         // 1. Camera Animation (Simple Lerp)
-        // Animate even if !showRoom to allow exit transition
-        if (hasAnimatedDown.current) {
+        // Only while we own the camera - on exit DoorSection levels it out and turns back to the corridor
+        if (hasAnimatedDown.current && roomCamera.isOwner()) {
             const lerpSpeed = delta * CAMERA_SETTINGS.lerpSpeed;
 
-            if (isExiting || hasExitTriggered.current) {
-                // EXIT MODE:
-                // 1. Reset X (look up/forward) and Z (tilt) to 0
-                camera.rotation.x = THREE.MathUtils.lerp(camera.rotation.x, 0, lerpSpeed);
-                camera.rotation.z = THREE.MathUtils.lerp(camera.rotation.z, 0, lerpSpeed);
-
-                // 2. DO NOT TOUCH Y!
-                // DoorSection controls Y during exit (turning back to corridor)
-                // If we lerp Y here, we fight the DoorSection animation
-            } else {
-                // NORMAL MODE:
-                camera.rotation.x = THREE.MathUtils.lerp(camera.rotation.x, targetRotX.current, lerpSpeed);
-                camera.rotation.y = THREE.MathUtils.lerp(camera.rotation.y, targetRotY.current, lerpSpeed);
-                camera.rotation.z = THREE.MathUtils.lerp(camera.rotation.z, targetRotZ.current, lerpSpeed);
-            }
+            camera.rotation.x = THREE.MathUtils.lerp(camera.rotation.x, targetRotX.current, lerpSpeed);
+            camera.rotation.y = THREE.MathUtils.lerp(camera.rotation.y, targetRotY.current, lerpSpeed);
+            camera.rotation.z = THREE.MathUtils.lerp(camera.rotation.z, targetRotZ.current, lerpSpeed);
         }
 
         // 2. Wave Animation
@@ -193,7 +186,7 @@ const ContactRoom = ({ showRoom, onReady, isExiting }) => {
     });
 
     return (
-        <group position={[0, -0.7, -5]}>
+        <group ref={roomRef} position={[0, -0.7, -5]}>
             {/* ============================================
                 🌅 SKY BACKDROP
             ============================================ */}
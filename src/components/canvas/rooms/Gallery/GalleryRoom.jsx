@@ -1,56 +1,57 @@
-import { useRef, useState, useMemo, useEffect } from 'react';
+import { useRef, useState, useMemo, useEffect, useEffectEvent } from 'react';
 import { useFrame, useThree } from '@react-three/fiber';
-import { Text, useTexture, Float } from '@react-three/drei';
+import { Text, Float } from '@react-three/drei';
+import useTierTexture from '../../../../hooks/useTierTexture';
 import * as THREE from 'three';
-import gsap from 'gsap';
 import { useScene } from '../../../../context/SceneContext';
+import { usePerformance } from '../../../../context/PerformanceContext';
+import { scaleCount } from '../../../../config/performance';
+import { runFixedSteps } from '../../../../animation/fixedStep';
+import { track, ANALYTICS_EVENTS } from '../../../../analytics/eventBus';
 import PaperMaterial from './PaperMaterial';
-
-// Define the unique projects and their textures
-const UNIQUE_PROJECTS = [
-    { id: 'bio', title: 'Bio', front: '/textures/gallery/bioprzod.jpg', back: '/textures/gallery/biotyl.png', url: 'https://example.com' },
-    { id: 'monetune', title: 'Monetune', front: '/textures/gallery/monetuneprzod.png', back: '/textures/gallery/monetunetyl.png', url: 'https://example.com' },
-    { id: 'timber', title: 'TimberKitty', front: '/textures/gallery/timberkittyprzod.png', back: '/textures/gallery/timberkittytyl.png', url: 'https://example.com' },
-    { id: 'young', title: 'YoungMulti', front: '/textures/gallery/youngmultiprzod.png', back: '/textures/gallery/youngmultityl.png', url: 'https://example.com' },
-];
+import { UNIQUE_PROJECTS, GALLERY_TEXTURES } from './galleryData';
+import useAnimationScope from '../../../../hooks/useAnimationScope';
+import useRoomReady from '../../../../hooks/useRoomReady';
+import useAmbientActivity from '../../../../hooks/useAmbientActivity';
 
 const PROJECT_COUNT = 10; // Keep the count for the infinite scroll feel
 const GAP = 2.5;
 
+// Card sway - spring pulled towards the wind angle, stepped at the tier's physicsStep
+const SWAY_STIFFNESS = 20;
+const SWAY_DAMPING = 6;
+
+// Birds over the city - lower tiers keep the first ones (particleCount)
+const BIRD_FLOCK = [
+    { delay: 0, height: 4.5, depth: -10, speed: 0.8, scale: 0.8 },
+    { delay: 9, height: 5.4, depth: -13, speed: 0.65, scale: 0.6 },
+    { delay: 17, height: 3.8, depth: -11, speed: 0.9, scale: 0.5 },
+];
+
 const GalleryRoom = ({ showRoom, onReady }) => {
-    const { openOverlay } = useScene();
+    const { openOverlay, currentRoom, pendingItem, clearPendingItem, setActiveItem } = useScene();
+    const { settings } = usePerformance();
+    const animations = useAnimationScope('room:gallery', 'room');
     const groupRef = useRef();
     const [scrollOffset, setScrollOffset] = useState(0);
     const targetScroll = useRef(0);
     const currentScroll = useRef(0);
     const [selectedCard, setSelectedCard] = useState(null);
+    const [cardRequest, setCardRequest] = useState(null); // { index, action: 'select' | 'deselect' } for deep links
 
-    // Track if we've signaled ready
-    const hasSignaledReady = useRef(false);
-    const frameCount = useRef(0);
-    const FRAMES_TO_WAIT = 5;
-
-    useFrame(() => {
-        if (hasSignaledReady.current) return;
-        frameCount.current++;
-        if (frameCount.current >= FRAMES_TO_WAIT) {
-            hasSignaledReady.current = true;
-            onReady?.();
-        }
-    });
+    // Textures uploaded + shaders compiled before the door opens
+    useRoomReady(groupRef, onReady);
 
     // Config
     const BALCONY_WIDTH = 5;
     const BALCONY_DEPTH = 3;
-    const RAILING_HEIGHT = 1.1;
 
     // --- TEXTURES ---
     // Load all project textures in a flat array [p1_front, p1_back, p2_front, p2_back, ...]
-    const textureUrls = UNIQUE_PROJECTS.flatMap(p => [p.front, p.back]);
-    const projectTextures = useTexture(textureUrls);
+    const projectTextures = useTierTexture(GALLERY_TEXTURES.projects);
 
     // Load the single overlay texture (button "open project")
-    const overlayTexture = useTexture('/textures/gallery/openliveproject.png');
+    const overlayTexture = useTierTexture(GALLERY_TEXTURES.overlay);
 
     // Construct the full list of projects (repeated) with textures attached
     const projects = useMemo(() => {
@@ -100,13 +101,13 @@ const GalleryRoom = ({ showRoom, onReady }) => {
 
         const finalTarget = currentScrollValue + diff;
 
-        gsap.to(targetScroll, {
+        animations.to(targetScroll, {
             current: finalTarget,
             duration: 0.5,
             ease: 'power2.inOut'
         });
 
-        gsap.to(currentScroll, {
+        animations.to(currentScroll, {
             current: finalTarget,
             duration: 0.5,
             ease: 'power2.inOut',
@@ -114,6 +115,54 @@ const GalleryRoom = ({ showRoom, onReady }) => {
         });
     };
 
+    // Deep link (/gallery/<projectId>): fly the card in once the camera is inside the room.
+    // pendingItem stays set until the card is selected - the URL sync skips the bare /gallery in between
+    const selectingFor = useRef(null); // pendingItem whose card is flying in
+    useEffect(() => {
+        if (!pendingItem || pendingItem.roomId !== 'gallery') return;
+        if (currentRoom !== 'gallery' || cardRequest) return;
+
+        if (selectedCard !== null) {
+            // A card is already out - it goes back first, this effect runs again after
+            if (projects[selectedCard].id === pendingItem.itemId) clearPendingItem();
+            else setCardRequest({ index: selectedCard, action: 'deselect' });
+            if (!pendingItem.itemId) clearPendingItem();
+            return;
+        }
+
+        // Card on its way - onSelect lands in the branch above
+        if (selectingFor.current === pendingItem) return;
+
+        // Pick the repeated card for this project closest to the current scroll
+        const totalWidth = PROJECT_COUNT * GAP;
+        let bestIndex = -1;
+        let bestDistance = Infinity;
+
+        projects.forEach((project, i) => {
+            if (project.id !== pendingItem.itemId) return;
+            const raw = Math.abs(i * GAP - currentScroll.current) % totalWidth;
+            const distance = Math.min(raw, totalWidth - raw);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestIndex = i;
+            }
+        });
+
+        if (bestIndex === -1) {
+            // Unknown project - nothing to open
+            clearPendingItem();
+            return;
+        }
+
+        selectingFor.current = pendingItem;
+        setCardRequest({ index: bestIndex, action: 'select' });
+    }, [pendingItem, currentRoom, cardRequest, selectedCard, projects, clearPendingItem]);
+
+    // Mirror the selected card into the URL
+    useEffect(() => {
+        setActiveItem(selectedCard !== null ? projects[selectedCard].id : null);
+    }, [selectedCard, projects, setActiveItem]);
+
     // --- INTERACTION ---
     useEffect(() => {
         const handleWheel = (e) => {
@@ -151,12 +200,10 @@ const GalleryRoom = ({ showRoom, onReady }) => {
     });
 
     // --- GEOMETRY & MATERIALS ---
-    const floorTexture = useTexture('/textures/gallery/floor.jpg');
-    const railingTexture = useTexture('/textures/gallery/railing.png');
-    const housesTexture = useTexture('/textures/gallery/domki.png');
-    const cityTexture = useTexture('/textures/gallery/miastotlo.png');
-    const birdTexture = useTexture('/textures/gallery/bird.png');
-    const clothespinTexture = useTexture('/textures/gallery/klamerka.png');
+    const floorTexture = useTierTexture(GALLERY_TEXTURES.floor);
+    const cityTexture = useTierTexture(GALLERY_TEXTURES.city);
+    const birdTexture = useTierTexture(GALLERY_TEXTURES.bird);
+    const clothespinTexture = useTierTexture(GALLERY_TEXTURES.clothespin);
 
     useEffect(() => {
         if (floorTexture) {
@@ -165,12 +212,7 @@ const GalleryRoom = ({ showRoom, onReady }) => {
             floorTexture.repeat.set(0.5, 0.7);
             floorTexture.needsUpdate = true;
         }
-        if (railingTexture) {
-            railingTexture.wrapS = railingTexture.wrapT = THREE.RepeatWrapping;
-            railingTexture.repeat.set(7, 1);
-            railingTexture.needsUpdate = true;
-        }
-    }, [floorTexture, railingTexture]);
+    }, [floorTexture]);
 
     const materials = useMemo(() => {
         const floorMat = new THREE.MeshStandardMaterial({
@@ -234,17 +276,6 @@ const GalleryRoom = ({ showRoom, onReady }) => {
                     <lineBasicMaterial color="#999999" />
                 </line>
 
-                {/* Railing */}
-                <mesh position={[0, RAILING_HEIGHT / 2, -3.9]}>
-                    <planeGeometry args={[20, RAILING_HEIGHT]} />
-                    <meshStandardMaterial
-                        map={railingTexture}
-                        transparent={true}
-                        side={THREE.DoubleSide}
-                        alphaTest={0.1}
-                    />
-                </mesh>
-
                 {/* === CLOTHESLINE SYSTEM === */}
                 <group position={[0, 1.6, -4]}>
                     <mesh geometry={ropeGeometry} material={materials.rope} />
@@ -262,47 +293,22 @@ const GalleryRoom = ({ showRoom, onReady }) => {
                             materials={materials}
                             curve={curve}
                             isSelected={selectedCard === i}
+                            requestedAction={cardRequest?.index === i ? cardRequest.action : null}
+                            onRequestHandled={() => setCardRequest(null)}
                             scrollToIndex={scrollToIndex}
                             onSelect={(cardData) => {
                                 setSelectedCard(i);
+                                track(ANALYTICS_EVENTS.GALLERY_CARD_FLIPPED, { projectId: project.id, selected: true });
+                            }}
+                            onDeselect={() => {
+                                setSelectedCard(null);
+                                track(ANALYTICS_EVENTS.GALLERY_CARD_FLIPPED, { projectId: project.id, selected: false });
                             }}
-                            onDeselect={() => setSelectedCard(null)}
                         />
                     ))}
                 </group>
 
                 {/* === SCENERY LAYERS === */}
-                {/* Houses - center */}
-                <mesh position={[0, -1, -9]} scale={[1, 1, 1]}>
-                    <planeGeometry args={[15, 6]} />
-                    <meshBasicMaterial
-                        map={housesTexture}
-                        transparent={true}
-                        alphaTest={0.1}
-                        side={THREE.DoubleSide}
-                    />
-                </mesh>
-                {/* Houses - left side (mirrored) */}
-                <mesh position={[-15, -1, -9]} scale={[-1, 1, 1]}>
-                    <planeGeometry args={[15, 6]} />
-                    <meshBasicMaterial
-                        map={housesTexture}
-                        transparent={true}
-                        alphaTest={0.1}
-                        side={THREE.DoubleSide}
-                    />
-                </mesh>
-                {/* Houses - right side (mirrored) */}
-                <mesh position={[15, -1, -9]} scale={[-1, 1, 1]}>
-                    <planeGeometry args={[15, 6]} />
-                    <meshBasicMaterial
-                        map={housesTexture}
-                        transparent={true}
-                        alphaTest={0.1}
-                        side={THREE.DoubleSide}
-                    />
-                </mesh>
-
                 {/* City skyline - center */}
                 <mesh position={[0, 3.4, -17]} scale={[1, 1, 1]}>
                     <planeGeometry args={[30, 10]} />
@@ -334,8 +340,10 @@ const GalleryRoom = ({ showRoom, onReady }) => {
                     />
                 </mesh>
 
-                {/* Flying Bird */}
-                <FlyingBird texture={birdTexture} />
+                {/* Flying Birds */}
+                {BIRD_FLOCK.slice(0, scaleCount(BIRD_FLOCK.length, settings.particleCount)).map((bird, i) => (
+                    <FlyingBird key={i} texture={birdTexture} {...bird} />
+                ))}
 
                 {/* Skybox/Environment */}
                 <mesh position={[0, 5, -20]}>
@@ -348,30 +356,33 @@ const GalleryRoom = ({ showRoom, onReady }) => {
 };
 
 // Flying bird animation component
-const FlyingBird = ({ texture }) => {
+const FlyingBird = ({ texture, delay = 0, height = 4.5, depth = -10, speed = 0.8, scale = 0.8 }) => {
     const birdRef = useRef();
     const startX = -20;
     const endX = 20;
-    const speed = 0.8; // Units per second
+    // speed: units per second
+
+    // Crosses the whole sky - needs a smoother rate than the slow floats
+    useAmbientActivity(30);
 
     useFrame((state) => {
         if (!birdRef.current) return;
 
-        const time = state.clock.getElapsedTime();
+        const time = state.clock.getElapsedTime() + delay;
 
         // Move from left to right, loop back
         const progress = ((time * speed) % (endX - startX + 10)) + startX;
         birdRef.current.position.x = progress;
 
         // Gentle bobbing motion
-        birdRef.current.position.y = 4.5 + Math.sin(time * 2) * 0.3;
+        birdRef.current.position.y = height + Math.sin(time * 2) * 0.3;
 
         // Slight banking when flying
         birdRef.current.rotation.z = Math.sin(time * 1.5) * 0.1;
     });
 
     return (
-        <mesh ref={birdRef} position={[-20, 4.5, -10]} scale={[0.8, 0.8, 0.8]}>
+        <mesh ref={birdRef} position={[startX, height, depth]} scale={[scale, scale, scale]}>
             <planeGeometry args={[1.5, 1.5]} />
             <meshBasicMaterial
                 map={texture}
@@ -385,17 +396,24 @@ const FlyingBird = ({ texture }) => {
 
 // Sub-component for individual project cards
 // Sub-component for individual project cards
-const ProjectCard = ({ index, project, overlayTexture, clothespinTexture, currentScroll, materials, curve, isSelected, scrollToIndex, onSelect, onDeselect }) => {
+const ProjectCard = ({ index, project, overlayTexture, clothespinTexture, currentScroll, materials, curve, isSelected, requestedAction, onRequestHandled, scrollToIndex, onSelect, onDeselect }) => {
     const cardRef = useRef();
     const paperRef = useRef(); // Ref for the moving part (Paper)
     const materialRef = useRef();
     const [hovered, setHovered] = useState(false);
     const [isAnimating, setIsAnimating] = useState(false);  // True ONLY during flip animation
     const [isScrolling, setIsScrolling] = useState(false);  // True during scroll phase
+    const animations = useAnimationScope(`room:gallery:card-${index}`, 'room');
+    const { settings } = usePerformance();
 
     // Random sway properties
     const swaySpeed = useRef(Math.random() * 0.2 + 0.3); // Slower sway speed
     const swayOffset = useRef(Math.random() * 100);
+    // Sway simulation state (fixed step)
+    const sway = useRef({ time: 0, angle: 0, velocity: 0 });
+    const swayAccumulator = useRef(0);
+    // Cards keep swaying on the line while idle
+    useAmbientActivity(24);
 
     // The actual fly animation (called after scroll centers the card)
     const startFlyAnimation = () => {
@@ -417,7 +435,7 @@ const ProjectCard = ({ index, project, overlayTexture, clothespinTexture, curren
         const targetY = targetY_World - parentPos.y;
         const targetZ = targetZ_World - parentPos.z;
 
-        const timeline = gsap.timeline({
+        const timeline = animations.timeline({
             onComplete: () => {
                 setIsAnimating(false);
                 onSelect?.({ index });
@@ -524,85 +542,79 @@ const ProjectCard = ({ index, project, overlayTexture, clothespinTexture, curren
         }, '-=0.4');
     };
 
-    // Click handler - fly to camera OR return to clothesline
-    const handleClick = (e) => {
-        e.stopPropagation();
-        if (isAnimating) return;
+    // ===== RETURN TO CLOTHESLINE (REVERSE of fly animation) =====
+    const deselectCard = () => {
+        setIsAnimating(true);
 
-        // ===== RETURN TO CLOTHESLINE (REVERSE of fly animation) =====
-        if (isSelected) {
-            setIsAnimating(true);
+        const timeline = animations.timeline({
+            onComplete: () => {
+                setIsAnimating(false);
+                onDeselect?.();
+            }
+        });
 
-            const timeline = gsap.timeline({
-                onComplete: () => {
-                    setIsAnimating(false);
-                    onDeselect?.();
-                }
-            });
-
-            // Initial local Base
-            const localBaseY = -1.1;
-
-            // REVERSE PHASE: Lift and Bend
-            timeline.to(paperRef.current.position, {
-                y: localBaseY + 0.6,
-                x: 0, // Centered locally
-                z: 1, // Slightly forward locally
-                duration: 0.35,
-                ease: 'power2.in'
-            });
+        // Initial local Base
+        const localBaseY = -1.1;
 
-            timeline.to(paperRef.current.rotation, {
-                x: 0.5,
-                z: -0.05,
-                y: 0,
-                duration: 0.35,
-                ease: 'power2.in'
-            }, '<');
+        // REVERSE PHASE: Lift and Bend
+        timeline.to(paperRef.current.position, {
+            y: localBaseY + 0.6,
+            x: 0, // Centered locally
+            z: 1, // Slightly forward locally
+            duration: 0.35,
+            ease: 'power2.in'
+        });
 
-            // BEND: Drag again as we pull it back
-            if (materialRef.current) {
-                timeline.to(materialRef.current, {
-                    bend: 0.6,
-                    duration: 0.3,
-                    ease: 'power2.in'
-                }, '<');
-            }
+        timeline.to(paperRef.current.rotation, {
+            x: 0.5,
+            z: -0.05,
+            y: 0,
+            duration: 0.35,
+            ease: 'power2.in'
+        }, '<');
 
-            // RESET Scale
-            timeline.to(paperRef.current.scale, {
-                x: 1, y: 1, z: 1,
-                duration: 0.3, ease: 'sine.inOut'
+        // BEND: Drag again as we pull it back
+        if (materialRef.current) {
+            timeline.to(materialRef.current, {
+                bend: 0.6,
+                duration: 0.3,
+                ease: 'power2.in'
             }, '<');
+        }
 
-            // SNAP BACK TO HANGING POSITION
-            timeline.to(paperRef.current.position, {
-                y: localBaseY,
-                x: 0,
-                z: 0,
-                duration: 0.25,
-                ease: 'power3.out'
-            });
-
-            timeline.to(paperRef.current.rotation, {
-                x: 0, y: 0, z: 0,
-                duration: 0.25,
-                ease: 'power3.out'
-            }, '<');
+        // RESET Scale
+        timeline.to(paperRef.current.scale, {
+            x: 1, y: 1, z: 1,
+            duration: 0.3, ease: 'sine.inOut'
+        }, '<');
 
-            // BEND: SNAP
-            if (materialRef.current) {
-                timeline.to(materialRef.current, {
-                    bend: 0,
-                    duration: 0.3,
-                    ease: 'power2.out'
-                }, '<');
-            }
+        // SNAP BACK TO HANGING POSITION
+        timeline.to(paperRef.current.position, {
+            y: localBaseY,
+            x: 0,
+            z: 0,
+            duration: 0.25,
+            ease: 'power3.out'
+        });
 
-            return;
+        timeline.to(paperRef.current.rotation, {
+            x: 0, y: 0, z: 0,
+            duration: 0.25,
+            ease: 'power3.out'
+        }, '<');
+
+        // BEND: SNAP
+        if (materialRef.current) {
+            timeline.to(materialRef.current, {
+                bend: 0,
+                duration: 0.3,
+                ease: 'power2.out'
+            }, '<');
         }
+    };
 
-        // ===== FLY TO CAMERA (if not selected) =====
+    // ===== FLY TO CAMERA (if not selected) =====
+    const selectCard = () => {
         // Start scrolling phase (project still moves with clothesline)
         setIsScrolling(true);
 
@@ -615,13 +627,39 @@ const ProjectCard = ({ index, project, overlayTexture, clothespinTexture, curren
         });
     };
 
+    // Click handler - fly to camera OR return to clothesline
+    const handleClick = (e) => {
+        e.stopPropagation();
+        if (isAnimating) return;
+
+        if (isSelected) {
+            deselectCard();
+            return;
+        }
+
+        selectCard();
+    };
+
+    // Deep link: the room asks this card to fly in (or back to the line)
+    const handleRequest = useEffectEvent((action) => {
+        onRequestHandled?.();
+
+        if (action === 'select' && !isSelected) selectCard();
+        if (action === 'deselect' && isSelected) deselectCard();
+    });
+
+    useEffect(() => {
+        if (!requestedAction || isAnimating || isScrolling) return;
+        handleRequest(requestedAction);
+    }, [requestedAction, isAnimating, isScrolling]);
+
     // Cursor change on hover
     useEffect(() => {
         document.body.style.cursor = hovered && !isSelected ? 'pointer' : 'auto';
         return () => { document.body.style.cursor = 'auto'; };
     }, [hovered, isSelected]);
 
-    useFrame((state) => {
+    useFrame((state, delta) => {
         if (!cardRef.current) return;
 
         // Skip position updates ONLY during flip animation, NOT during scroll
@@ -638,11 +676,17 @@ const ProjectCard = ({ index, project, overlayTexture, clothespinTexture, curren
 
         cardRef.current.position.set(pointOnCurve.x, pointOnCurve.y, pointOnCurve.z);
 
-        // Wind / Sway Animation
-        const time = state.clock.getElapsedTime();
-        const wind = Math.sin(time * swaySpeed.current + swayOffset.current) * 0.05;
+        // Wind / Sway Animation - spring follows the wind angle
+        runFixedSteps(swayAccumulator, delta, settings.physicsStep, (step) => {
+            const current = sway.current;
+            current.time += step;
+            const wind = Math.sin(current.time * swaySpeed.current + swayOffset.current) * 0.05;
+
+            current.velocity += ((wind - current.angle) * SWAY_STIFFNESS - current.velocity * SWAY_DAMPING) * step;
+            current.angle += current.velocity * step;
+        });
 
-        cardRef.current.rotation.z = wind;
+        cardRef.current.rotation.z = sway.current.angle;
         cardRef.current.rotation.x = 0;
 
         // Visibility Check (fade out if too far)
@@ -0,0 +1,26 @@
+/**
+ * Gallery Data
+ *
+ * Projects on the clothesline and every texture the Gallery loads.
+ * Kept out of GalleryRoom so the room registry can prefetch the textures
+ * without pulling in the room chunk.
+ */
+
+// Define the unique projects and their textures
+// No front artwork exported yet -> no `front`, the card shows its back (specification) on both sides
+export const UNIQUE_PROJECTS = [
+    { id: 'bio', title: 'Bio', front: '/textures/gallery/bioprzod.webp', back: '/textures/gallery/biotyl.webp', url: 'https://example.com' },
+    { id: 'monetune', title: 'Monetune', back: '/textures/gallery/monetunetyl.webp', url: 'https://example.com' },
+    { id: 'timber', title: 'TimberKitty', back: '/textures/gallery/timberkittytyl.webp', url: 'https://example.com' },
+    { id: 'young', title: 'YoungMulti', back: '/textures/gallery/youngmultityl.webp', url: 'https://example.com' },
+];
+
+export const GALLERY_TEXTURES = {
+    // All project textures in a flat array [p1_front, p1_back, p2_front, p2_back, ...] - loaded as one group
+    projects: UNIQUE_PROJECTS.flatMap(p => [p.front ?? p.back, p.back]),
+    overlay: '/textures/gallery/openliveproject.webp', // Button "open project"
+    floor: '/textures/gallery/floor.webp',
+    city: '/textures/gallery/miastotlo.webp',
+    bird: '/textures/gallery/bird.webp',
+    clothespin: '/textures/gallery/klamerka.webp',
+};
@@ -1,10 +1,17 @@
 import { useRef, useState, useEffect, useMemo, useCallback } from 'react';
-import { useFrame, useThree, useLoader } from '@react-three/fiber';
+import { useFrame, useThree } from '@react-three/fiber';
 import * as THREE from 'three';
-import gsap from 'gsap';
-import { CONTENT_DATA, PLATFORM_CONFIG, getLatestContent } from './contentData';
+import { CONTENT_DATA, PLATFORM_CONFIG, MONITOR_TEXTURES, getLatestContent } from './contentData';
 import { useScene } from '../../../../context/SceneContext';
-import { TextureLoader } from 'three';
+import { usePerformance } from '../../../../context/PerformanceContext';
+import { scaleCount } from '../../../../config/performance';
+import { runFixedSteps, perFrame } from '../../../../animation/fixedStep';
+import { CAMERA_PRIORITY } from '../../../../camera/cameraControllers';
+import useCameraControl from '../../../../hooks/useCameraControl';
+import useAnimationScope from '../../../../hooks/useAnimationScope';
+import useRoomReady from '../../../../hooks/useRoomReady';
+import useAmbientActivity from '../../../../hooks/useAmbientActivity';
+import useTierTexture from '../../../../hooks/useTierTexture';
 
 // ============================================
 // CONFIG - Adjust these values as needed
@@ -24,6 +31,11 @@ const StudioRoom = ({ showRoom, onReady }) => {
     const groupRef = useRef();
     const towerRef = useRef();
     const { camera, size } = useThree();
+    // Zoom to a monitor and back - released with the pose restored once the camera is back
+    const roomCamera = useCameraControl('room:studio', CAMERA_PRIORITY.ROOM);
+
+    // Tower keeps spinning / falling on its own - the room's main motion
+    useAmbientActivity(30);
 
     // Responsive camera parameters based on PIXEL width
     const responsiveParams = useMemo(() => {
@@ -63,59 +75,76 @@ const StudioRoom = ({ showRoom, onReady }) => {
     const SCROLL_SENSITIVITY = 0.006; // Tripled from 0.002
     const SWIPE_SENSITIVITY = 0.005; // Adjusted
     const SPEED_DECAY = 0.985; // Slower return to normal (was 0.96)
+    const physicsAccumulator = useRef(0); // Unsimulated time (see animation/fixedStep)
 
     // Content State
     const [selectedMonitor, setSelectedMonitor] = useState(null);
     const [hoveredId, setHoveredId] = useState(null);
     const [isAnimating, setIsAnimating] = useState(false);
 
+    // Focus / return tween killed by an exit or teleport - do what its onComplete would have
+    const handleAnimationInterrupt = useCallback(() => {
+        roomCamera.release({ restorePose: false }); // The exit / teleport has the camera now
+        setIsAnimating(false);
+        setSelectedMonitor(null);
+    }, [roomCamera]);
+    const animations = useAnimationScope('room:studio', 'room', { onInterrupt: handleAnimationInterrupt });
+
     // Global Scene Context for Overlay
-    const { openOverlay, overlayContent } = useScene();
+    const {
+        openOverlay,
+        closeOverlay,
+        overlayContent,
+        currentRoom,
+        pendingItem,
+        clearPendingItem,
+        setActiveItem
+    } = useScene();
 
     const latestContent = getLatestContent();
+    const { settings } = usePerformance();
+
+    // Shuffled once per visit - a lower tier drops monitors instead of reshuffling the tower
+    const [shuffledContent] = useState(() => [...CONTENT_DATA].sort(() => 0.5 - Math.random()));
+    // Always on the tower: the latest post + items opened by URL
+    const [pinnedIds, setPinnedIds] = useState(() => [latestContent.id]);
+    const monitorCount = scaleCount(CONTENT_DATA.length, settings.particleCount);
+
+    const pinMonitor = useCallback((id) => {
+        setPinnedIds((ids) => (ids.includes(id) ? ids : [...ids, id]));
+    }, []);
 
     // Monitor Y offsets for falling animation (mutable)
     const monitorOffsets = useRef([]);
     // Refs to monitor meshes for direct position updates (avoids 28 useFrame hooks)
     const monitorRefs = useRef([]);
 
-    // Track if we've signaled ready
-    const hasSignaledReady = useRef(false);
-    const frameCount = useRef(0);
-    const FRAMES_TO_WAIT = 5; // Wait for 5 actual render frames
-
-    // Real render-based ready detection - count actual rendered frames
-    useFrame(() => {
-        if (hasSignaledReady.current) return;
-
-        frameCount.current++;
-
-        // After N frames have been rendered, we know GPU has drawn the content
-        if (frameCount.current >= FRAMES_TO_WAIT) {
-            hasSignaledReady.current = true;
-            onReady?.();
-        }
-    });
+    // Textures uploaded + shaders compiled before the door opens
+    useRoomReady(groupRef, onReady);
 
     // Build cylindrical tower - all monitors at same radius, shuffled content, staggered heights
     const monitorData = useMemo(() => {
         const items = [];
 
-        // Shuffle content for mixed appearance (seeded for consistency)
-        const shuffledContent = [...CONTENT_DATA].sort(() => 0.5 - Math.random());
+        // Tier's share of the content (particleCount), pinned items first, shuffled order kept
+        const kept = new Set(pinnedIds);
+        shuffledContent.forEach((item) => {
+            if (kept.size < monitorCount) kept.add(item.id);
+        });
+        const towerContent = shuffledContent.filter((item) => kept.has(item.id));
 
         // Calculate how many rings we need
-        const totalMonitors = shuffledContent.length;
+        const totalMonitors = towerContent.length;
         const ringsNeeded = Math.ceil(totalMonitors / MONITORS_PER_RING);
 
         let contentIndex = 0;
 
-        for (let ring = 0; ring < ringsNeeded && contentIndex < shuffledContent.length; ring++) {
+        for (let ring = 0; ring < ringsNeeded && contentIndex < towerContent.length; ring++) {
             const angleStep = (Math.PI * 2) / MONITORS_PER_RING;
             const angleOffset = ring % 2 === 0 ? 0 : angleStep / 2; // Offset alternate rings
 
-            for (let i = 0; i < MONITORS_PER_RING && contentIndex < shuffledContent.length; i++) {
-                const contentItem = shuffledContent[contentIndex];
+            for (let i = 0; i < MONITORS_PER_RING && contentIndex < towerContent.length; i++) {
+                const contentItem = towerContent[contentIndex];
                 const platform = PLATFORM_CONFIG[contentItem.platform];
                 const angle = i * angleStep + angleOffset;
 
@@ -168,7 +197,7 @@ const StudioRoom = ({ showRoom, onReady }) => {
         const totalHeight = maxBaseY - minBaseY + VERTICAL_SPACING;
 
         return { items, totalHeight };
-    }, [latestContent.id]);
+    }, [latestContent.id, shuffledContent, pinnedIds, monitorCount]);
 
     // Destructure for easier access
     const monitors = monitorData.items;
@@ -255,11 +284,9 @@ const StudioRoom = ({ showRoom, onReady }) => {
         };
     }, [handlePointerUp, handlePointerMove]);
 
-    // STEP 1 ONLY: Rotate tower to center the clicked monitor
-    const handleMonitorClick = useCallback((item) => {
-        // Prevent click if we were dragging
-        if (dragDistance > 5 || isAnimating || !towerRef.current) return;
-        if (dragDistance > 5 || isAnimating || !towerRef.current) return;
+    // Rotate tower to center the monitor, zoom in, then open the overlay
+    const focusMonitor = useCallback((item) => {
+        if (isAnimating || !towerRef.current) return;
 
         setIsAnimating(true);
         setSelectedMonitor(item);
@@ -300,11 +327,13 @@ const StudioRoom = ({ showRoom, onReady }) => {
         });
 
         // STEP 1: Animate tower rotation
-        gsap.to(towerRef.current.rotation, {
+        animations.to(towerRef.current.rotation, {
             y: finalRotation,
             duration: 0.8,
             ease: 'power2.inOut',
             onComplete: () => {
+                roomCamera.acquire();
+
                 // STEP 2: After rotation, move camera Y to center on monitor
                 // Store original camera Y if not stored
                 if (originalCameraY.current === null) {
@@ -347,7 +376,7 @@ const StudioRoom = ({ showRoom, onReady }) => {
                     targetPos: { x: targetX, y: targetY, z: targetZ }
                 });
 
-                gsap.to(camera.position, {
+                animations.to(camera.position, {
                     x: targetX,
                     y: targetY,
                     z: targetZ,
@@ -361,7 +390,56 @@ const StudioRoom = ({ showRoom, onReady }) => {
             }
         });
 
-    }, [dragDistance, isAnimating, camera, responsiveParams, openOverlay]);
+    }, [isAnimating, camera, responsiveParams, openOverlay, roomCamera, animations]);
+
+    // STEP 1 ONLY: Rotate tower to center the clicked monitor
+    const handleMonitorClick = useCallback((item) => {
+        // Prevent click if we were dragging
+        if (dragDistance > 5 || isAnimating || !towerRef.current) return;
+
+        focusMonitor(item);
+    }, [dragDistance, isAnimating, focusMonitor]);
+
+    // Deep link (/studio/<id>): focus the monitor once the camera is inside the room.
+    // pendingItem stays set until the overlay opens - the URL sync skips the bare /studio in between
+    useEffect(() => {
+        if (!pendingItem || pendingItem.roomId !== 'studio') return;
+        if (currentRoom !== 'studio' || isAnimating) return;
+
+        if (!pendingItem.itemId) {
+            // Back from an item URL - close it (camera returns via overlay effect)
+            clearPendingItem();
+            closeOverlay();
+            return;
+        }
+
+        if (selectedMonitor) {
+            // Another monitor is open - return the camera first, this effect runs again after
+            if (selectedMonitor.id !== pendingItem.itemId) closeOverlay();
+            else if (overlayContent?.id === pendingItem.itemId) clearPendingItem();
+            return;
+        }
+
+        const item = monitors.find(m => m.id === pendingItem.itemId);
+        if (!item && CONTENT_DATA.some(content => content.id === pendingItem.itemId)) {
+            // Not on this tier's tower - add it, this effect runs again with the new monitors
+            pinMonitor(pendingItem.itemId);
+            return;
+        }
+
+        if (!item) {
+            // Unknown item - nothing to open
+            clearPendingItem();
+            return;
+        }
+
+        focusMonitor(item);
+    }, [pendingItem, currentRoom, isAnimating, monitors, selectedMonitor, overlayContent, clearPendingItem, closeOverlay, focusMonitor, pinMonitor]);
+
+    // Mirror the open monitor into the URL
+    useEffect(() => {
+        setActiveItem(overlayContent?.id ?? null);
+    }, [overlayContent, setActiveItem]);
 
     // Trigger camera return ONLY when overlay is explicitly closed
     // We use a ref to track if overlay was previously open to avoid initial race conditions
@@ -382,22 +460,24 @@ const StudioRoom = ({ showRoom, onReady }) => {
 
         // Slightly faster return
         if (originalCameraX.current !== null && originalCameraY.current !== null && originalCameraZ.current !== null) {
-            gsap.to(camera.position, {
+            animations.to(camera.position, {
                 x: originalCameraX.current,
                 y: originalCameraY.current,
                 z: originalCameraZ.current,
                 duration: 0.8,
                 ease: 'power2.inOut',
                 onComplete: () => {
+                    roomCamera.release();
                     setIsAnimating(false);
                     setSelectedMonitor(null); // Resume auto-rotation
                 }
             });
         } else {
+            roomCamera.release();
             setIsAnimating(false);
             setSelectedMonitor(null);
         }
-    }, [camera]);
+    }, [camera, roomCamera, animations]);
 
     // Cleaned up old listener effect that is now handled by the global effect above
 
@@ -406,19 +486,26 @@ const StudioRoom = ({ showRoom, onReady }) => {
 
         // Auto-rotate and Physics when idle
         if (!isDraggingRef.current && !isAnimating && !selectedMonitor) {
-            towerRef.current.rotation.y += autoRotationSpeed.current * delta + rotationVelocity.current;
-            rotationVelocity.current *= FRICTION;
-
-            // Decay fall speed back to base speed (but keep direction!)
-            // If going down (>0), drift to positive base. If going up (<0), drift to negative base.
-            const targetDrift = fallSpeed.current > 0 ? BASE_FALL_SPEED : -BASE_FALL_SPEED;
-            fallSpeed.current = THREE.MathUtils.lerp(fallSpeed.current, targetDrift, 1.0 - SPEED_DECAY);
+            // Spin + fall speed simulated at the tier's physicsStep (FRICTION / SPEED_DECAY are per 60 fps frame)
+            let fallDistance = 0;
+            runFixedSteps(physicsAccumulator, delta, settings.physicsStep, (step) => {
+                const frames = step * 60;
+                towerRef.current.rotation.y += autoRotationSpeed.current * step + rotationVelocity.current * frames;
+                rotationVelocity.current *= perFrame(FRICTION, step);
+
+                // Decay fall speed back to base speed (but keep direction!)
+                // If going down (>0), drift to positive base. If going up (<0), drift to negative base.
+                const targetDrift = fallSpeed.current > 0 ? BASE_FALL_SPEED : -BASE_FALL_SPEED;
+                fallSpeed.current = THREE.MathUtils.lerp(fallSpeed.current, targetDrift, 1.0 - perFrame(SPEED_DECAY, step));
+
+                fallDistance += fallSpeed.current * step;
+            });
 
             // totalHeight is now pre-computed in useMemo for performance
             // Update all monitor offsets and positions in a single loop (no child useFrames needed)
             monitors.forEach((monitor, index) => {
                 // Update offset
-                monitorOffsets.current[index] -= fallSpeed.current * delta;
+                monitorOffsets.current[index] -= fallDistance;
 
                 // Calculate current Y
                 const currentY = monitor.baseY + monitorOffsets.current[index];
@@ -484,12 +571,12 @@ const MonitorBlock = ({ item, meshRef, isHovered, isSelected, onHover, onClick,
     // Position.y is updated directly by parent's useFrame via meshRef
 
     // Load all 6 textures for blog/FB monitors
-    const frontTexture = useLoader(TextureLoader, '/textures/studio/monitor_front.png');
-    const backTexture = useLoader(TextureLoader, '/textures/studio/monitor_back.png');
-    const topTexture = useLoader(TextureLoader, '/textures/studio/monitor_top.png');
-    const bottomTexture = useLoader(TextureLoader, '/textures/studio/monitor_bottom.png');
-    const leftTexture = useLoader(TextureLoader, '/textures/studio/monitor_left.png');
-    const rightTexture = useLoader(TextureLoader, '/textures/studio/monitor_right.png');
+    const frontTexture = useTierTexture(MONITOR_TEXTURES.front);
+    const backTexture = useTierTexture(MONITOR_TEXTURES.back);
+    const topTexture = useTierTexture(MONITOR_TEXTURES.top);
+    const bottomTexture = useTierTexture(MONITOR_TEXTURES.bottom);
+    const leftTexture = useTierTexture(MONITOR_TEXTURES.left);
+    const rightTexture = useTierTexture(MONITOR_TEXTURES.right);
 
     // Check if this is a blog/FB monitor
     const isBlogMonitor = item.platform === 'blog';
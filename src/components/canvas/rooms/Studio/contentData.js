@@ -7,6 +7,16 @@
  * Platforms: 'youtube', 'blog', 'tiktok'
  */
 
+// Monitor box faces (blog monitors) - also prefetched by the room registry
+export const MONITOR_TEXTURES = {
+    front: '/textures/studio/monitor_front.webp',
+    back: '/textures/studio/monitor_back.webp',
+    top: '/textures/studio/monitor_top.webp',
+    bottom: '/textures/studio/monitor_bottom.webp',
+    left: '/textures/studio/monitor_left.webp',
+    right: '/textures/studio/monitor_right.webp',
+};
+
 export const PLATFORM_CONFIG = {
     youtube: {
         color: '#FF0000',
@@ -2,17 +2,29 @@ import { useEffect, useRef, useMemo } from 'react';
 import gsap from 'gsap';
 import { useScene } from '../../context/SceneContext';
 import { useAudio } from '../../context/AudioManager';
+import useAnimationScope from '../../hooks/useAnimationScope';
 import '../../styles/Preloader.scss'; // Reuse preloader styles
+import '../../styles/PaperTransition.scss';
 
 /**
  * PaperTransition - Reusable paper tear transition for teleportation
  * 
  * Listens to SceneContext teleportPhase:
  * - 'closing': Paper halves slide together (reverse of tear)
- * - 'teleporting': Paper is closed, waiting for destination load
+ * - 'teleporting': Paper is closed, waiting for destination load (pencil line shows progress)
  * - 'opening': Paper tears apart revealing new room
+ *
+ * While the app is still loading (ready = false) the paper is held closed,
+ * so deep links open only once the Preloader has torn away.
+ * A cancelled teleport leaves a short notice (teleportNotice) on screen.
  */
 
+// How long the cancelled-teleport notice stays up
+const NOTICE_DURATION = 5000;
+
+// Hand-drawn stroke for the loading line (normalized to pathLength 1)
+const PENCIL_PATH = 'M 0 6 C 15 2, 25 9, 40 5 S 70 3, 85 7 S 97 5, 100 5';
+
 // Reusable SVG Line Component (copied from Preloader)
 const TearLineSVG = ({ svgPathData }) => (
     <svg
@@ -32,15 +44,19 @@ const TearLineSVG = ({ svgPathData }) => (
     </svg>
 );
 
-const PaperTransition = () => {
+const PaperTransition = ({ ready = true }) => {
     const {
         teleportPhase,
         startTeleportTransition,
         openTeleportTransition,
         completeTeleport,
-        teleportTarget
+        teleportTarget,
+        teleportProgress,
+        teleportNotice,
+        clearTeleportNotice
     } = useScene();
     const { play } = useAudio();
+    const animations = useAnimationScope('transition:paper', 'transition');
 
     const containerRef = useRef(null);
     const leftHalfRef = useRef(null);
@@ -101,7 +117,7 @@ const PaperTransition = () => {
             gsap.set(rightHalfRef.current, { xPercent: 100, rotation: 2 });
 
             // Animate halves together
-            timelineRef.current = gsap.timeline({
+            timelineRef.current = animations.timeline({
                 onComplete: () => {
                     startTeleportTransition(); // Move to 'teleporting' phase
                 }
@@ -125,15 +141,18 @@ const PaperTransition = () => {
             }, 'close');
         }
 
-        if (teleportPhase === 'teleporting') {
+        if (teleportPhase === 'teleporting' || (teleportPhase === 'opening' && !ready)) {
             // Paper is closed, TeleportRoom is loading the destination
             // TeleportRoom will call openTeleportTransition() when room is ready
-            // No action needed here - just wait
+            // Deep links skip 'closing', so make sure the paper is shut
+            gsap.set(containerRef.current, { opacity: 1, display: 'block' });
+            gsap.set(leftHalfRef.current, { xPercent: 0, rotation: 0 });
+            gsap.set(rightHalfRef.current, { xPercent: 0, rotation: 0 });
         }
 
-        if (teleportPhase === 'opening') {
+        if (teleportPhase === 'opening' && ready) {
             // Tear the paper apart
-            timelineRef.current = gsap.timeline({
+            timelineRef.current = animations.timeline({
                 onComplete: () => {
                     completeTeleport(); // Finish teleportation
                 }
@@ -170,10 +189,20 @@ const PaperTransition = () => {
                 timelineRef.current.kill();
             }
         };
-    }, [teleportPhase, startTeleportTransition, openTeleportTransition, completeTeleport, play]);
+    }, [teleportPhase, ready, startTeleportTransition, openTeleportTransition, completeTeleport, play, animations]);
 
-    // Don't render if not teleporting
-    if (!teleportPhase) return null;
+    // Notice disappears on its own
+    useEffect(() => {
+        if (!teleportNotice) return;
+
+        const timer = setTimeout(clearTeleportNotice, NOTICE_DURATION);
+        return () => clearTimeout(timer);
+    }, [teleportNotice, clearTeleportNotice]);
+
+    // Not teleporting - only a pending notice to show
+    if (!teleportPhase) {
+        return teleportNotice ? <div className="paper-transition__notice">{teleportNotice}</div> : null;
+    }
 
     return (
         <div
@@ -198,6 +227,27 @@ const PaperTransition = () => {
             >
                 <TearLineSVG svgPathData={svgPathData} />
             </div>
+
+            {/* Loading the destination - pencil draws the line as it gets ready */}
+            {teleportPhase === 'teleporting' && (
+                <div className="paper-transition__progress">
+                    <svg viewBox="0 0 100 10" preserveAspectRatio="none">
+                        <path
+                            d={PENCIL_PATH}
+                            pathLength={1}
+                            fill="none"
+                            stroke="#1a1a1a"
+                            strokeWidth="1.5"
+                            strokeLinecap="round"
+                            vectorEffect="non-scaling-stroke"
+                            style={{ strokeDasharray: 1, strokeDashoffset: 1 - teleportProgress }}
+                        />
+                    </svg>
+                    <span className="paper-transition__pencil" style={{ left: `${teleportProgress * 100}%` }}>
+                        &#9998;
+                    </span>
+                </div>
+            )}
         </div>
     );
 };
@@ -1,7 +1,8 @@
-import { useState, useEffect, useRef, useMemo } from 'react';
-import { useProgress } from '@react-three/drei';
+import { useState, useEffect, useRef, useMemo, useSyncExternalStore } from 'react';
 import gsap from 'gsap';
 import { useAudio } from '../../context/AudioManager';
+import useAnimationScope from '../../hooks/useAnimationScope';
+import { subscribeAssetProgress, getAssetProgress } from '../../loading/assetLoader';
 
 // Reusable SVG Line Component
 const TearLineSVG = ({ svgPathData, pathLength, strokeDashoffset }) => (
@@ -94,9 +95,14 @@ const percentageStyle = {
   overflow: 'visible'
 };
 
-const Preloader = ({ onComplete, ready }) => {
+// Bar split: asset downloads (bytes, assetLoader), then GPU warm-up (SceneWarmup), then ready
+const DOWNLOAD_SHARE = 70;
+const WARMUP_SHARE = 25;
+
+const Preloader = ({ onComplete, ready, warmup = 0, skipIntro = false, onSkipIntro }) => {
   const [isDone, setIsDone] = useState(false);
-  const { progress: realProgress, active } = useProgress();
+  const animations = useAnimationScope('preloader', 'preloader');
+  const assets = useSyncExternalStore(subscribeAssetProgress, getAssetProgress);
   const { play } = useAudio();
   // Track audio handle to stop loop
   const pencilSoundRef = useRef(null);
@@ -105,6 +111,8 @@ const Preloader = ({ onComplete, ready }) => {
   const containerRef = useRef(null);
   const leftHalfRef = useRef(null);
   const rightHalfRef = useRef(null);
+  const skipButtonRef = useRef(null);
+  const failedRef = useRef(null);
 
   // Track visual progress
   const [targetProgress, setTargetProgress] = useState(0);
@@ -154,18 +162,18 @@ const Preloader = ({ onComplete, ready }) => {
   // ----------------------------------------
   useEffect(() => {
     let newTarget = 0;
-    if (active) {
-      newTarget = (realProgress / 100) * 85;
+    if (!assets.done) {
+      newTarget = assets.total > 0 ? (assets.loaded / assets.total) * DOWNLOAD_SHARE : 0;
     } else {
       if (ready) {
         newTarget = 100;
       } else {
-        newTarget = 90;
+        newTarget = DOWNLOAD_SHARE + warmup * WARMUP_SHARE;
       }
     }
 
     setTargetProgress(prev => Math.max(prev, newTarget));
-  }, [realProgress, active, ready]);
+  }, [assets, ready, warmup]);
 
   // Handle Pencil Sound
   useEffect(() => {
@@ -203,7 +211,7 @@ const Preloader = ({ onComplete, ready }) => {
 
     gsap.killTweensOf(tracker);
 
-    gsap.to(tracker, {
+    animations.to(tracker, {
       val: targetProgress,
       duration: duration,
       ease: "power2.out",
@@ -213,7 +221,7 @@ const Preloader = ({ onComplete, ready }) => {
     });
 
     return () => gsap.killTweensOf(tracker);
-  }, [targetProgress]);
+  }, [targetProgress, animations]);
 
 
   // ----------------------------------------
@@ -236,15 +244,21 @@ const Preloader = ({ onComplete, ready }) => {
     }
     play('tear', { volume: 0.8 });
 
-    const tl = gsap.timeline({
+    const tl = animations.timeline({
       onComplete: () => {
         setIsDone(true);
         onComplete?.();
       }
     });
 
-    // 1. Quick pause before tear
+    // 1. Quick pause before tear (skip button fades meanwhile)
     tl.to({}, { duration: 0.1 });
+    if (skipButtonRef.current) {
+      tl.to(skipButtonRef.current, { opacity: 0, duration: 0.1 }, 0);
+    }
+    if (failedRef.current) {
+      tl.to(failedRef.current, { opacity: 0, duration: 0.1 }, 0);
+    }
 
     // 2. Tear Apart
     tl.to(leftHalfRef.current, {
@@ -308,6 +322,25 @@ const Preloader = ({ onComplete, ready }) => {
         {/* SVG is now INSIDE the clipped half */}
         <TearLineSVG svgPathData={svgPathData} pathLength={pathLength} strokeDashoffset={strokeDashoffset} />
       </div>
+
+      {/* Assets that failed twice - the scene goes on without them */}
+      {assets.failed.length > 0 && (
+        <div className="preloader__failed" ref={failedRef}>
+          <span>couldn&apos;t load {assets.failed.length === 1 ? 'one drawing' : `${assets.failed.length} drawings`}:</span>
+          <ul>
+            {assets.failed.map((url) => (
+              <li key={url}>{url.split('/').pop()}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {/* Returning visitors can go straight to the corridor */}
+      {!skipIntro && onSkipIntro && (
+        <button className="preloader__skip" ref={skipButtonRef} onClick={() => onSkipIntro()}>
+          skip intro &rarr;
+        </button>
+      )}
     </div>
   );
 };
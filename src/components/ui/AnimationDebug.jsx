@@ -0,0 +1,64 @@
+import { useState, useEffect } from 'react';
+import {
+    getAnimationScopes,
+    getAnimationTimeScale,
+    setAnimationTimeScale,
+    areAnimationsPaused,
+    setAnimationsPaused
+} from '../../animation/animationRegistry';
+import '../../styles/AnimationDebug.scss';
+
+const TIME_SCALES = [1, 0.5, 0.25, 0.1];
+const REFRESH_INTERVAL = 500;
+
+/**
+ * AnimationDebug - slow motion / pause for the GSAP choreography (?animationDebug)
+ * Also lists owners that have animations running right now (see animation/animationRegistry).
+ */
+const AnimationDebug = () => {
+    const [timeScale, setTimeScale] = useState(getAnimationTimeScale);
+    const [paused, setPaused] = useState(areAnimationsPaused);
+    const [scopes, setScopes] = useState(getAnimationScopes);
+
+    // Scopes aren't observable - poll while the panel is open
+    useEffect(() => {
+        const interval = setInterval(() => setScopes(getAnimationScopes()), REFRESH_INTERVAL);
+        return () => clearInterval(interval);
+    }, []);
+
+    const handleTimeScale = (scale) => {
+        setAnimationTimeScale(scale);
+        setTimeScale(scale);
+    };
+
+    const handlePause = () => {
+        setAnimationsPaused(!paused);
+        setPaused(!paused);
+    };
+
+    const running = scopes.filter((scope) => scope.running > 0);
+
+    return (
+        <div className="animation-debug">
+            <div className="animation-debug__controls">
+                {TIME_SCALES.map((scale) => (
+                    <button
+                        key={scale}
+                        className={scale === timeScale ? 'active' : ''}
+                        onClick={() => handleTimeScale(scale)}
+                    >
+                        {scale}×
+                    </button>
+                ))}
+                <button onClick={handlePause}>{paused ? 'resume' : 'pause'}</button>
+            </div>
+            {running.map(({ owner, kind, running: count }, i) => (
+                <div key={`${owner}-${i}`} className="animation-debug__scope">
+                    {owner} [{kind}] · {count}
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default AnimationDebug;
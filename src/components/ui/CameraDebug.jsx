@@ -0,0 +1,27 @@
+import { useSyncExternalStore } from 'react';
+import { subscribeCameraControllers, getCameraControllers } from '../../camera/cameraControllers';
+import '../../styles/CameraDebug.scss';
+
+/**
+ * CameraDebug - who owns the camera right now (?cameraDebug)
+ * Lists every controller holding the camera, owner first (see camera/cameraControllers).
+ */
+const CameraDebug = () => {
+    const controllers = useSyncExternalStore(subscribeCameraControllers, getCameraControllers);
+    const [owner, ...waiting] = controllers;
+
+    return (
+        <div className="camera-debug">
+            <div className="camera-debug__owner">
+                camera: {owner ? `${owner.owner} (${owner.priority}, ${owner.rotationOrder})` : 'nobody'}
+            </div>
+            {waiting.map(({ id, owner: name, priority }) => (
+                <div key={id} className="camera-debug__waiting">
+                    {name} ({priority})
+                </div>
+            ))}
+        </div>
+    );
+};
+
+export default CameraDebug;
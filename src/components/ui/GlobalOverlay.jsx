@@ -1,5 +1,6 @@
 import React, { useEffect, useState } from 'react';
 import { useScene } from '../../context/SceneContext';
+import { usePerformance } from '../../context/PerformanceContext';
 // import './GlobalOverlay.scss'; // Using inline styles
 
 const GlobalOverlay = () => {
@@ -49,6 +50,7 @@ const GlobalOverlay = () => {
 };
 
 const ContentCard = ({ content, isOpen, onClose, isMobile }) => {
+    const { settings } = usePerformance();
     if (!content) return null;
 
     const label = content.platformConfig?.label || 'Content';
@@ -144,7 +146,8 @@ const ContentCard = ({ content, isOpen, onClose, isMobile }) => {
                     height: '100%',
                     // Visuals
                     backgroundColor: isOpen ? 'rgba(0,0,0,0.5)' : 'rgba(0,0,0,0)',
-                    backdropFilter: isOpen ? 'blur(8px)' : 'blur(0px)',
+                    // Blur is the one post effect - off with the setting / LOW tier
+                    backdropFilter: isOpen && settings.postEffects ? 'blur(8px)' : 'blur(0px)',
                     transition: 'background-color 0.8s ease, backdrop-filter 0.8s ease',
                     // Mask applies ONLY here
                     ...maskStyle
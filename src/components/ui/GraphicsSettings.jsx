@@ -0,0 +1,113 @@
+import { usePerformance, TIERS } from '../../context/PerformanceContext';
+import '../../styles/GraphicsSettings.scss';
+
+const TIER_LABELS = { [TIERS.HIGH]: 'High', [TIERS.MEDIUM]: 'Medium', [TIERS.LOW]: 'Low' };
+
+// One row per preference - 'auto' removes the override (see PerformanceContext.setPreference)
+const SETTINGS = [
+    {
+        key: 'quality',
+        label: 'Quality',
+        options: [
+            { value: 'auto', label: 'Auto' },
+            ...Object.values(TIERS).map((tier) => ({ value: tier, label: TIER_LABELS[tier] })),
+        ],
+    },
+    {
+        key: 'maxDpr',
+        label: 'Pixel ratio',
+        options: [
+            { value: 'auto', label: 'Auto' },
+            { value: 1, label: '1×' },
+            { value: 1.5, label: '1.5×' },
+            { value: 2, label: '2×' },
+        ],
+    },
+    {
+        key: 'shadows',
+        label: 'Shadows',
+        options: [
+            { value: 'auto', label: 'Auto' },
+            { value: true, label: 'On' },
+            { value: false, label: 'Off' },
+        ],
+    },
+    {
+        key: 'postEffects',
+        label: 'Effects',
+        options: [
+            { value: 'auto', label: 'Auto' },
+            { value: true, label: 'On' },
+            { value: false, label: 'Off' },
+        ],
+    },
+    {
+        key: 'motion',
+        label: 'Motion',
+        options: [
+            { value: 'auto', label: 'Auto' },
+            { value: 1, label: 'Full' },
+            { value: 0.5, label: 'Reduced' },
+            { value: 0, label: 'Off' },
+        ],
+    },
+];
+
+/**
+ * GraphicsSettings - visitor-facing graphics options (gear button in NavigationUI)
+ * Choices are persisted and applied live by PerformanceContext - the Canvas stays mounted.
+ * Auto follows the detected tier (shown next to Quality) and prefers-reduced-motion.
+ */
+const GraphicsSettings = ({ isOpen, onClose }) => {
+    const { autoTier, preferences, setPreference, resetPreferences } = usePerformance();
+
+    return (
+        <div className={`map-panel settings-panel ${isOpen ? 'open' : ''}`} aria-hidden={!isOpen}>
+            <div className="map-header">
+                <h3>GRAPHICS</h3>
+                <button
+                    className="close-btn"
+                    onClick={onClose}
+                    aria-label="Close settings"
+                >
+                    <svg viewBox="0 0 24 24">
+                        <path d="M18 6L6 18M6 6l12 12" />
+                    </svg>
+                </button>
+            </div>
+
+            <div className="settings-list">
+                {SETTINGS.map(({ key, label, options }) => {
+                    const current = preferences[key] ?? 'auto';
+                    return (
+                        <div className="settings-row" key={key} role="radiogroup" aria-label={label}>
+                            <span className="settings-label">{label}</span>
+                            <div className="settings-options">
+                                {options.map((option) => (
+                                    <button
+                                        key={String(option.value)}
+                                        className={`settings-option ${current === option.value ? 'active' : ''}`}
+                                        role="radio"
+                                        aria-checked={current === option.value}
+                                        onClick={() => setPreference(key, option.value)}
+                                    >
+                                        {option.label}
+                                        {key === 'quality' && option.value === 'auto' && (
+                                            <span className="settings-detected"> ({TIER_LABELS[autoTier]})</span>
+                                        )}
+                                    </button>
+                                ))}
+                            </div>
+                        </div>
+                    );
+                })}
+            </div>
+
+            <button className="settings-reset" onClick={resetPreferences}>
+                Reset to auto
+            </button>
+        </div>
+    );
+};
+
+export default GraphicsSettings;
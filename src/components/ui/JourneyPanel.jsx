@@ -0,0 +1,69 @@
+import { useRef, useState } from 'react';
+import useJourney from '../../hooks/useJourney';
+import '../../styles/JourneyPanel.scss';
+
+const formatDuration = (ms) => `${(ms / 1000).toFixed(1)}s`;
+
+/**
+ * JourneyPanel - UX review tools (record / replay / export / import)
+ * Only mounted with ?journey in the URL (see App.jsx).
+ */
+const JourneyPanel = () => {
+    const {
+        status,
+        recording,
+        startRecording,
+        stopRecording,
+        startReplay,
+        stopReplay,
+        importRecording,
+        exportRecording
+    } = useJourney();
+    const [message, setMessage] = useState(null);
+    const fileInputRef = useRef(null);
+
+    const handleReplay = () => {
+        setMessage(startReplay() ? null : `Replay starts in '${recording.start.state}' - go there first`);
+    };
+
+    const handleImport = async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = ''; // Allow importing the same file again
+        if (!file) return;
+
+        try {
+            importRecording(await file.text());
+            setMessage(`Imported ${file.name}`);
+        } catch (error) {
+            setMessage(error.message);
+        }
+    };
+
+    return (
+        <div className="journey-panel">
+            <span className="journey-panel__status">
+                {status === 'recording' && '● recording'}
+                {status === 'replaying' && '▶ replaying'}
+                {status === 'idle' && (recording
+                    ? `${formatDuration(recording.duration)} · ${recording.scene.length} scene events`
+                    : 'no recording')}
+            </span>
+
+            {status === 'recording'
+                ? <button onClick={stopRecording}>stop</button>
+                : <button onClick={startRecording} disabled={status !== 'idle'}>record</button>}
+
+            {status === 'replaying'
+                ? <button onClick={stopReplay}>stop</button>
+                : <button onClick={handleReplay} disabled={status !== 'idle' || !recording}>replay</button>}
+
+            <button onClick={exportRecording} disabled={!recording}>export</button>
+            <button onClick={() => fileInputRef.current?.click()} disabled={status !== 'idle'}>import</button>
+            <input ref={fileInputRef} type="file" accept="application/json" hidden onChange={handleImport} />
+
+            {message && <span className="journey-panel__message">{message}</span>}
+        </div>
+    );
+};
+
+export default JourneyPanel;
@@ -1,16 +1,12 @@
 import { useState, useEffect } from 'react';
 import { useScene } from '../../context/SceneContext';
 import { useAudio } from '../../context/AudioManager';
+import { ROOMS } from '../../config/rooms';
+import GraphicsSettings from './GraphicsSettings';
 import '../../styles/NavigationUI.scss';
 
-// Room data for the map - positions are percentages on the map image
-// These positions correspond to the visual elements on the map
-const ROOMS = [
-    { id: 'about', label: 'About', x: 43, y: 38 },      // Paper airplane (left side)
-    { id: 'gallery', label: 'Gallery', x: 43, y: 72 },  // City buildings (bottom left)
-    { id: 'contact', label: 'Contact', x: 57, y: 25 },  // Pier/dock (top right)
-    { id: 'studio', label: 'Studio', x: 57, y: 55 },    // Monitors stack (right side)
-];
+// Room data for the map - positions are percentages on the map image (see config/rooms)
+const MAP_ROOMS = ROOMS.map(({ id, mapLabel, mapPin }) => ({ id, label: mapLabel, ...mapPin }));
 
 // Pin starting position - the dashed circle at the bottom of the tower
 const PIN_START_POSITION = { x: 50.5, y: 97 };
@@ -19,6 +15,7 @@ const NavigationUI = () => {
     const { currentRoom, isInRoom, requestExit, hasEntered, teleportTo, isTeleporting } = useScene();
     const { isMuted, toggleMute } = useAudio();
     const [isMenuOpen, setIsMenuOpen] = useState(false);
+    const [isSettingsOpen, setIsSettingsOpen] = useState(false);
     const [showCorridorHint, setShowCorridorHint] = useState(false);
     const [hoveredRoom, setHoveredRoom] = useState(null); // Track which pin slot is hovered
     const [isExiting, setIsExiting] = useState(false); // Track when back button is clicked
@@ -32,10 +29,11 @@ const NavigationUI = () => {
         }
     }, [hasEntered]);
 
-    // Close menu when entering a room or starting teleport
+    // Close menu + settings when entering a room or starting teleport
     useEffect(() => {
         if (isInRoom || isTeleporting) {
             setIsMenuOpen(false);
+            setIsSettingsOpen(false);
             setIsExiting(false);
         }
     }, [isInRoom, isTeleporting]);
@@ -86,7 +84,7 @@ const NavigationUI = () => {
 
             {/* Right side controls - Only visible after entering */}
             {hasEntered && (
-                <div className={`nav-controls ${isMenuOpen ? 'menu-open' : ''}`}>
+                <div className={`nav-controls ${isMenuOpen || isSettingsOpen ? 'menu-open' : ''}`}>
                     {/* Hamburger Menu Button */}
                     <button
                         className={`nav-btn hamburger-btn ${isMenuOpen ? 'open' : ''}`}
@@ -121,9 +119,27 @@ const NavigationUI = () => {
                             </svg>
                         )}
                     </button>
+
+                    {/* Graphics Settings Button */}
+                    <button
+                        className="nav-btn settings-btn"
+                        onClick={() => setIsSettingsOpen(true)}
+                        aria-label="Graphics settings"
+                        aria-expanded={isSettingsOpen}
+                    >
+                        <svg viewBox="0 0 24 24" className="icon-settings">
+                            <circle cx="12" cy="12" r="3" />
+                            <path d="M12 2v3M12 19v3M4.9 4.9l2.1 2.1M17 17l2.1 2.1M2 12h3M19 12h3M4.9 19.1L7 17M17 7l2.1-2.1" />
+                        </svg>
+                    </button>
                 </div>
             )}
 
+            {/* Graphics Settings Panel - Drops from top like the map */}
+            {hasEntered && (
+                <GraphicsSettings isOpen={isSettingsOpen} onClose={() => setIsSettingsOpen(false)} />
+            )}
+
             {/* Map Panel - Drops from top when open */}
             {hasEntered && (
                 <div className={`map-panel ${isMenuOpen ? 'open' : ''}`}>
@@ -141,10 +157,10 @@ const NavigationUI = () => {
                     </div>
                     <div className="map-container">
                         {/* Map background image */}
-                        <img src="/images/map.png" alt="Portfolio Map" className="map-image" />
+                        <img src="/images/map.webp" alt="Portfolio Map" className="map-image" />
 
                         {/* Pin slot markers - 4 locations */}
-                        {ROOMS.map((room) => (
+                        {MAP_ROOMS.map((room) => (
                             <button
                                 key={room.id}
                                 className={`pin-slot ${currentRoom === room.id ? 'active' : ''} ${hoveredRoom === room.id ? 'hovered' : ''}`}
@@ -154,7 +170,7 @@ const NavigationUI = () => {
                                 onMouseLeave={() => setHoveredRoom(null)}
                                 title={room.label}
                             >
-                                <img src="/images/pin-slot.png" alt="" className="slot-image" />
+                                <img src="/images/pin-slot.webp" alt="" className="slot-image" />
                             </button>
                         ))}
 
@@ -163,30 +179,33 @@ const NavigationUI = () => {
                             className="pin-marker"
                             style={{
                                 left: `${hoveredRoom
-                                    ? ROOMS.find(r => r.id === hoveredRoom)?.x || PIN_START_POSITION.x
+                                    ? MAP_ROOMS.find(r => r.id === hoveredRoom)?.x || PIN_START_POSITION.x
                                     : currentRoom && isInRoom
-                                        ? ROOMS.find(r => r.id === currentRoom)?.x || PIN_START_POSITION.x
+                                        ? MAP_ROOMS.find(r => r.id === currentRoom)?.x || PIN_START_POSITION.x
                                         : PIN_START_POSITION.x
                                     }%`,
                                 top: `${hoveredRoom
-                                    ? ROOMS.find(r => r.id === hoveredRoom)?.y || PIN_START_POSITION.y
+                                    ? MAP_ROOMS.find(r => r.id === hoveredRoom)?.y || PIN_START_POSITION.y
                                     : currentRoom && isInRoom
-                                        ? ROOMS.find(r => r.id === currentRoom)?.y || PIN_START_POSITION.y
+                                        ? MAP_ROOMS.find(r => r.id === currentRoom)?.y || PIN_START_POSITION.y
                                         : PIN_START_POSITION.y
                                     }%`
                             }}
                         >
-                            <img src="/images/pin.png" alt="You are here" className="pin-image" />
+                            <img src="/images/pin.webp" alt="You are here" className="pin-image" />
                         </div>
                     </div>
                 </div>
             )}
 
-            {/* Overlay to close menu */}
-            {isMenuOpen && (
+            {/* Overlay to close menu / settings */}
+            {(isMenuOpen || isSettingsOpen) && (
                 <div
                     className="menu-overlay"
-                    onClick={() => setIsMenuOpen(false)}
+                    onClick={() => {
+                        setIsMenuOpen(false);
+                        setIsSettingsOpen(false);
+                    }}
                 />
             )}
 
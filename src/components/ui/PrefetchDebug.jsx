@@ -0,0 +1,33 @@
+import { useSyncExternalStore } from 'react';
+import { ROOMS } from '../../config/rooms';
+import { PREFETCH_CONFIG } from '../../config/prefetch';
+import { subscribeRoomPrefetch, getRoomPrefetchStatus, isSaveDataOn } from '../../prefetch/roomPrefetch';
+import '../../styles/PrefetchDebug.scss';
+
+/**
+ * PrefetchDebug - room prefetch progress (dev only)
+ * One row per room: JS chunk and texture status (see prefetch/roomPrefetch).
+ */
+const PrefetchDebug = ({ tier }) => {
+    const statuses = useSyncExternalStore(subscribeRoomPrefetch, getRoomPrefetchStatus);
+    const config = PREFETCH_CONFIG[tier] ?? PREFETCH_CONFIG.LOW;
+    const saveData = isSaveDataOn();
+
+    return (
+        <div className="prefetch-debug">
+            <div className="prefetch-debug__header">
+                prefetch: {saveData ? 'off (save-data)' : `${tier} ${config.distance}m${config.textures ? '' : ', no textures'}`}
+            </div>
+            {ROOMS.map(({ id }) => {
+                const { chunk = '-', textures = '-' } = statuses[id] ?? {};
+                return (
+                    <div key={id} className={`prefetch-debug__room ${chunk === 'done' ? 'is-ready' : ''}`}>
+                        {id}: chunk {chunk}, textures {textures}
+                    </div>
+                );
+            })}
+        </div>
+    );
+};
+
+export default PrefetchDebug;
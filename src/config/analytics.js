@@ -0,0 +1,17 @@
+/**
+ * Analytics Config
+ * Sinks registered by setupAnalytics() on startup.
+ * The beacon sink stays off until VITE_ANALYTICS_ENDPOINT is set.
+ */
+export const ANALYTICS_CONFIG = {
+    // Log every event to the console (dev only)
+    console: import.meta.env.DEV,
+
+    // POST target for batched events (null = beacon sink disabled)
+    endpoint: import.meta.env.VITE_ANALYTICS_ENDPOINT || null,
+
+    // Send when this many events are queued...
+    batchSize: 20,
+    // ...or at least this often (ms), and always when the page is hidden
+    flushInterval: 10000,
+};
@@ -0,0 +1,135 @@
+/**
+ * Performance Tiers - settings per tier + the device heuristic picking the starting one
+ *
+ * Plain module so code outside React (App's import-time preload) can read them;
+ * PerformanceContext holds the live tier, TierMonitor moves it down / back up with the fps.
+ */
+
+export const TIERS = {
+    HIGH: 'HIGH',
+    MEDIUM: 'MEDIUM',
+    LOW: 'LOW',
+};
+
+// Lowest first - moving a tier is a step through this list
+export const TIER_ORDER = [TIERS.LOW, TIERS.MEDIUM, TIERS.HIGH];
+
+export const lowerTier = (a, b) => (TIER_ORDER.indexOf(a) <= TIER_ORDER.indexOf(b) ? a : b);
+
+// Settings for each tier
+export const TIER_SETTINGS = {
+    [TIERS.HIGH]: {
+        dpr: [1, 2], // Allow up to 2x pixel density
+        shadows: true, // Enable shadows
+        shadowMapSize: 1024, // Key light shadow map (Experience)
+        postEffects: true, // Screen-space effects (overlay backdrop blur)
+        antialias: true,
+        powerPreference: 'high-performance',
+        physicsStep: 1 / 60, // Fixed step of the Studio tower / Gallery sway simulations
+        textureQuality: 'high', // Full-size textures (see loading/textureVariants)
+        particleCount: 1.0, // 100% particles (doodles, clouds, monitors, birds - see scaleCount)
+    },
+    [TIERS.MEDIUM]: {
+        dpr: [1, 1.5], // Cap at 1.5x
+        shadows: true, // Keep shadows at a lower map size
+        shadowMapSize: 512,
+        postEffects: true,
+        antialias: true,
+        powerPreference: 'default',
+        physicsStep: 1 / 60,
+        textureQuality: 'medium', // Half-size variants where they exist
+        particleCount: 0.8, // 80% particles
+    },
+    [TIERS.LOW]: {
+        dpr: 1, // Fixed 1x pixel density
+        shadows: false, // Disable shadows completely
+        shadowMapSize: 256, // Unused while shadows are off
+        postEffects: false,
+        antialias: false, // Disable AA if possible or rely on fast AA
+        powerPreference: 'low-power',
+        physicsStep: 1 / 45, // Slower physics updates if needed
+        textureQuality: 'low', // Quarter-size variants where they exist
+        particleCount: 0.4, // 40% particles
+    },
+};
+
+// Starting tier from the device (no GPU) - synchronous, so it gives the same answer wherever it's called
+export const detectDeviceTier = () => {
+    let detectedTier = TIERS.HIGH;
+
+    // 1. Mobile Check
+    const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
+    if (isMobile) {
+        detectedTier = TIERS.MEDIUM;
+    }
+
+    // 2. Hardware Concurrency (CPU Cores)
+    // Low-end devices usually have 4 or fewer cores
+    if (navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 4) {
+        detectedTier = isMobile ? TIERS.LOW : TIERS.MEDIUM;
+    }
+
+    // 3. GPU - measured separately (performance/gpuBenchmark), the lower of both tiers wins
+
+    // Override for very weak hardware
+    if (navigator.deviceMemory && navigator.deviceMemory <= 4) {
+        detectedTier = TIERS.LOW;
+    }
+
+    return { tier: detectedTier, isMobile };
+};
+
+// Visitor's graphics choices (GraphicsSettings panel) - { quality?, maxDpr?, shadows?, postEffects?, motion? },
+// a missing key means Auto. Read before React mounts as well (App preloads the saved quality's textures).
+const PREFERENCES_KEY = 'graphics_settings';
+
+export const readGraphicsPreferences = () => {
+    try {
+        const saved = JSON.parse(localStorage.getItem(PREFERENCES_KEY));
+        return saved && typeof saved === 'object' ? saved : {};
+    } catch {
+        return {};
+    }
+};
+
+export const writeGraphicsPreferences = (preferences) => {
+    try {
+        localStorage.setItem(PREFERENCES_KEY, JSON.stringify(preferences));
+    } catch {
+        // Private mode / quota - the choices last for this visit only
+    }
+};
+
+// Element count for the tier's particleCount share, never below one
+export const scaleCount = (count, particleCount) => Math.max(1, Math.round(count * particleCount));
+
+// Tier monitor (TierMonitor + PerformanceContext) - fps sampled per window while nothing is loading.
+// The gap between downgradeFps and upgradeFps is the hysteresis: a tier that just fits doesn't flip-flop.
+export const TIER_MONITOR = {
+    windowMs: 1000, // One fps sample per second
+    downgradeFps: 45, // Below this...
+    downgradeWindows: 3, // ...for 3 samples in a row -> one tier down (a single GC pause isn't enough)
+    upgradeFps: 56, // Above this...
+    upgradeWindows: 20, // ...for 20 samples in a row -> one tier up, never above the detected tier
+    cooldownMs: 15000, // No automatic change within 15 s of the previous one
+    settleMs: 1500, // Samples skipped after loading, a teleport or a tier change
+};
+
+// GPU micro-benchmark (performance/gpuBenchmark) - median frame time of an offscreen corridor slice
+export const GPU_BENCHMARK = {
+    warmupFrames: 3, // Shader compile / first upload, not timed
+    frames: 20,
+    highMs: 6, // Median at or under -> HIGH
+    mediumMs: 14, // Median at or under -> MEDIUM, slower -> LOW
+    timeoutMs: 3000, // Give up (device heuristics only) if it takes longer
+};
+
+// Render scheduler (performance/renderScheduler) - the Canvas renders on demand:
+// full rate while something moves, the ambient loops' registered rate while idle
+export const RENDER_SCHEDULER = {
+    activeMs: 2000, // Full rate for 2 s after input / a scene or overlay change
+    motionMs: 250, // ...and for a moment after the camera or a GSAP animation last moved
+    motionThreshold: 1e-4, // Camera change per tick that counts as moving
+    idleMaxFps: 30, // Ambient loops never get more while idle
+    overlayMaxFps: 10, // ...or this while a GlobalOverlay card covers the scene
+};
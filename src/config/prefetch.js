@@ -0,0 +1,15 @@
+/**
+ * Room Prefetch Config - how early the corridor starts loading a room
+ * (see prefetch/roomPrefetch and useRoomPrefetch)
+ *
+ * Keyed by performance tier (PerformanceContext TIERS):
+ * - distance: camera-to-door distance (corridor units) at which the room starts loading
+ * - textures: warm the room's textures too, not only its JS chunk
+ *
+ * With Save-Data (data saver) on nothing is prefetched - rooms load on click.
+ */
+export const PREFETCH_CONFIG = {
+    HIGH: { distance: 30, textures: true },
+    MEDIUM: { distance: 20, textures: true },
+    LOW: { distance: 12, textures: false },
+};
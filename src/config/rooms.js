@@ -0,0 +1,112 @@
+import { lazy } from 'react';
+import { GALLERY_TEXTURES } from '../components/canvas/rooms/Gallery/galleryData';
+import { MONITOR_TEXTURES } from '../components/canvas/rooms/Studio/contentData';
+
+/**
+ * Room Registry - every room behind a corridor door, in one place.
+ * Adding a room = one entry here (plus its component and textures).
+ *
+ * Read by: CorridorSegment (doors), DoorSection (textures), RoomInterior (component / subtitle),
+ * useInfiniteCamera (auto-glance, prefetch), TeleportRoom (camera target), NavigationUI (map pins),
+ * sceneRoutes (URLs) and roomPrefetch.
+ *
+ * Entry:
+ * - id: room ID used by SceneContext, URLs (/<id>) and analytics
+ * - label: door / room title
+ * - side, relativeZ: door placement inside a corridor segment (Z relative to segment start)
+ * - doorTexture, signTexture: corridor door + sign above it
+ * - mapLabel, mapPin: NavigationUI map pin (x/y in % of the map image)
+ * - subtitle: shown by the generic room (rooms without a component)
+ * - color, icon: door accent
+ * - component: lazily loaded room, receives { showRoom, onReady, isExiting }
+ * - load: the room's chunk import (prefetched before the click)
+ * - textures: what the room loads with useTexture - arrays are loaded as one group (same cache entry)
+ */
+
+// Room chunks - shared by the lazy components and the prefetcher
+const loadGallery = () => import('../components/canvas/rooms/Gallery/GalleryRoom');
+const loadStudio = () => import('../components/canvas/rooms/Studio/StudioRoom');
+const loadAbout = () => import('../components/canvas/rooms/About/AboutRoom');
+const loadContact = () => import('../components/canvas/rooms/Contact/ContactRoom');
+
+export const ROOMS = [
+    {
+        id: 'gallery',
+        label: 'THE GALLERY',
+        side: 'left',
+        relativeZ: -18,
+        doorTexture: '/textures/corridor/doors/drzwiprojekty.webp',
+        signTexture: '/textures/corridor/thegallerysign.webp',
+        mapLabel: 'Gallery',
+        mapPin: { x: 43, y: 72 }, // City buildings (bottom left)
+        subtitle: 'Explore my creative projects',
+        color: '#f5efe6',
+        icon: '◈',
+        component: lazy(loadGallery),
+        load: loadGallery,
+        textures: Object.values(GALLERY_TEXTURES),
+    },
+    {
+        id: 'studio',
+        label: 'THE STUDIO',
+        side: 'right',
+        relativeZ: -32,
+        doorTexture: '/textures/corridor/doors/drzwisocial.webp',
+        signTexture: '/textures/corridor/thestudiosign.webp',
+        mapLabel: 'Studio',
+        mapPin: { x: 57, y: 55 }, // Monitors stack (right side)
+        subtitle: 'Watch behind the scenes',
+        color: '#e6f5ef',
+        icon: '▶',
+        component: lazy(loadStudio),
+        load: loadStudio,
+        textures: Object.values(MONITOR_TEXTURES),
+    },
+    {
+        id: 'about',
+        label: 'THE ABOUT',
+        side: 'left',
+        relativeZ: -48,
+        doorTexture: '/textures/corridor/doors/drzwiabout.webp',
+        signTexture: '/textures/corridor/aboutsign.webp',
+        mapLabel: 'About',
+        mapPin: { x: 43, y: 38 }, // Paper airplane (left side)
+        subtitle: 'My development journey',
+        color: '#efe6f5',
+        icon: '★',
+        component: lazy(loadAbout),
+        load: loadAbout,
+        textures: [],
+    },
+    {
+        id: 'contact',
+        label: "LET'S CONNECT",
+        side: 'right',
+        relativeZ: -62,
+        doorTexture: '/textures/corridor/doors/drzwikontakt.webp',
+        signTexture: '/textures/corridor/contactsign.webp',
+        mapLabel: 'Contact',
+        mapPin: { x: 57, y: 25 }, // Pier/dock (top right)
+        subtitle: 'Get in touch with me',
+        color: '#f5e6e6',
+        icon: '✉',
+        component: lazy(loadContact),
+        load: loadContact,
+        textures: [],
+    },
+];
+
+const ROOMS_BY_ID = Object.fromEntries(ROOMS.map((room) => [room.id, room]));
+
+export const getRoom = (roomId) => ROOMS_BY_ID[roomId] ?? null;
+
+// Segment 0 starts at this Z (segment N starts SEGMENT_LENGTH * N further down)
+export const SEGMENT_START_Z = 10;
+// DoorSection sits this far in front of its relativeZ
+export const DOOR_OFFSET_Z = 2;
+
+// Global Z of a room's door in segment 0 (teleport target)
+export const getDoorZ = (roomId) => {
+    const room = getRoom(roomId);
+    return room ? SEGMENT_START_Z + room.relativeZ + DOOR_OFFSET_Z : undefined;
+};
@@ -0,0 +1,42 @@
+/**
+ * Scene Routes - URL <-> SceneContext mapping
+ * Every room has its own path so visitors can be linked straight into it.
+ * The entrance and the corridor live at the root path.
+ * Content inside a room (Studio monitor, Gallery card) gets one extra segment.
+ */
+
+import { ROOMS } from './rooms';
+
+// Corridor (and entrance, before the visitor has entered)
+export const CORRIDOR_PATH = '/';
+
+// Room ID -> path (every registered room gets /<id>)
+export const ROOM_PATHS = Object.fromEntries(ROOMS.map(({ id }) => [id, `/${id}`]));
+
+// Build the path for a scene state (null room = corridor)
+// itemId deep-links to content inside the room, e.g. /studio/yt-001
+export const getScenePath = (roomId, itemId = null) => {
+    const roomPath = ROOM_PATHS[roomId];
+    if (!roomPath) return CORRIDOR_PATH;
+    return itemId ? `${roomPath}/${encodeURIComponent(itemId)}` : roomPath;
+};
+
+// Item segment -> ID; a malformed escape (/studio/%E0) is kept as is - the room treats it as unknown
+const decodeItem = (item) => {
+    try {
+        return decodeURIComponent(item);
+    } catch {
+        return item;
+    }
+};
+
+// Resolve a pathname to { roomId, itemId } (null room = corridor or unknown path)
+export const parseScenePath = (pathname) => {
+    const [segment, item] = pathname.replace(/^\/+/, '').split('/');
+    if (!ROOM_PATHS[segment]) return { roomId: null, itemId: null };
+
+    return {
+        roomId: segment,
+        itemId: item ? decodeItem(item) : null,
+    };
+};
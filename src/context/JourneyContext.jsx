@@ -0,0 +1,163 @@
+import { useState, useCallback, useMemo, useRef, useEffect, useEffectEvent } from 'react';
+import { useScene } from './SceneContext';
+import {
+    createRecording,
+    cameraSample,
+    parseRecording,
+    downloadRecording,
+    CAMERA_SAMPLE_INTERVAL,
+    POINTER_SAMPLE_INTERVAL
+} from '../journey/journeyTimeline';
+import { JourneyContext } from '../hooks/useJourney';
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// ms since the recording started
+const elapsed = (startTime) => performance.now() - startTime.current;
+
+/**
+ * JourneyProvider - visitor journey recorder / replay state
+ *
+ * Recording collects camera samples (via JourneyDriver in the canvas),
+ * wheel + canvas pointer input and SceneContext transitions into one timeline.
+ * Replay itself runs in JourneyDriver (ghost camera + re-dispatched input).
+ * Must live inside SceneProvider.
+ */
+export const JourneyProvider = ({ children }) => {
+    const { sceneState, currentRoom, activeItem, subscribeTransitions } = useScene();
+
+    const [status, setStatus] = useState('idle'); // 'idle' | 'recording' | 'replaying'
+    const [recording, setRecording] = useState(null); // Last finished / imported recording
+
+    const buffer = useRef(null); // Recording in progress
+    const startTime = useRef(0);
+    const lastCameraSample = useRef(-Infinity);
+
+    const startRecording = useCallback(() => {
+        if (status !== 'idle') return;
+
+        buffer.current = createRecording({ state: sceneState, room: currentRoom, path: window.location.pathname });
+        startTime.current = performance.now();
+        lastCameraSample.current = -Infinity;
+        setStatus('recording');
+    }, [status, sceneState, currentRoom]);
+
+    const stopRecording = useCallback(() => {
+        if (!buffer.current) return;
+
+        buffer.current.duration = Math.round(elapsed(startTime));
+        setRecording(buffer.current);
+        buffer.current = null;
+        setStatus('idle');
+    }, []);
+
+    // Called every frame by JourneyDriver while recording
+    const recordCamera = useCallback((camera) => {
+        if (!buffer.current) return;
+
+        const t = elapsed(startTime);
+        if (t - lastCameraSample.current < CAMERA_SAMPLE_INTERVAL) return;
+        lastCameraSample.current = t;
+
+        buffer.current.camera.push(cameraSample(t, camera));
+    }, []);
+
+    // Scene transitions
+    useEffect(() => {
+        if (status !== 'recording') return;
+
+        return subscribeTransitions(({ event, payload, from, to }) => {
+            buffer.current?.scene.push([Math.round(elapsed(startTime)), event, payload, from, to]);
+        });
+    }, [status, subscribeTransitions]);
+
+    // Room content - closing from the DOM overlay isn't a scene transition
+    const recordItem = useEffectEvent(() => {
+        if (!currentRoom) return;
+        buffer.current?.scene.push([Math.round(elapsed(startTime)), 'ITEM', { roomId: currentRoom, itemId: activeItem }]);
+    });
+
+    useEffect(() => {
+        if (status === 'recording') recordItem();
+    }, [status, activeItem]);
+
+    // Wheel + pointer input on the canvas (UI clicks show up as transitions instead)
+    useEffect(() => {
+        if (status !== 'recording') return;
+
+        let lastMove = -Infinity;
+        const isCanvas = (e) => e.target instanceof HTMLCanvasElement;
+        const push = (entry) => buffer.current?.input.push(entry);
+
+        const handleWheel = (e) => {
+            push([Math.round(elapsed(startTime)), 'wheel', round(e.deltaY)]);
+        };
+
+        const handlePointerMove = (e) => {
+            const t = elapsed(startTime);
+            if (!isCanvas(e) || t - lastMove < POINTER_SAMPLE_INTERVAL) return;
+            lastMove = t;
+            push([Math.round(t), 'move', round(e.clientX / window.innerWidth), round(e.clientY / window.innerHeight)]);
+        };
+
+        const handleClick = (e) => {
+            if (!isCanvas(e)) return;
+            push([Math.round(elapsed(startTime)), 'click', round(e.clientX / window.innerWidth), round(e.clientY / window.innerHeight)]);
+        };
+
+        window.addEventListener('wheel', handleWheel, { passive: true });
+        window.addEventListener('pointermove', handlePointerMove);
+        window.addEventListener('click', handleClick);
+
+        return () => {
+            window.removeEventListener('wheel', handleWheel);
+            window.removeEventListener('pointermove', handlePointerMove);
+            window.removeEventListener('click', handleClick);
+        };
+    }, [status]);
+
+    // Replay has to start where the recording started
+    const startReplay = useCallback(() => {
+        if (status !== 'idle' || !recording) return false;
+
+        const { start } = recording;
+        if (start.state !== sceneState || start.room !== currentRoom) {
+            console.warn(`[Journey] Recording starts in '${start.state}'${start.room ? ` (${start.room})` : ''}, scene is in '${sceneState}'`);
+            return false;
+        }
+
+        setStatus('replaying');
+        return true;
+    }, [status, recording, sceneState, currentRoom]);
+
+    const stopReplay = useCallback(() => {
+        setStatus((current) => (current === 'replaying' ? 'idle' : current));
+    }, []);
+
+    // Throws on invalid JSON / format
+    const importRecording = useCallback((json) => {
+        setRecording(parseRecording(json));
+    }, []);
+
+    const exportRecording = useCallback(() => {
+        if (recording) downloadRecording(recording);
+    }, [recording]);
+
+    const value = useMemo(() => ({
+        status,
+        recording,
+        startRecording,
+        stopRecording,
+        recordCamera,
+        startReplay,
+        stopReplay,
+        importRecording,
+        exportRecording,
+    }), [status, recording, startRecording, stopRecording, recordCamera, startReplay, stopReplay, importRecording, exportRecording]);
+
+    return (
+        <JourneyContext.Provider value={value}>
+            {children}
+        </JourneyContext.Provider>
+    );
+};
@@ -1,46 +1,25 @@
-import { createContext, useContext, useState, useEffect } from "react";
+import { createContext, useContext, useState, useEffect, useRef, useCallback, useMemo } from "react";
+import { track, ANALYTICS_EVENTS } from "../analytics/eventBus";
 import { useThree } from "@react-three/fiber";
+import {
+  TIERS,
+  TIER_ORDER,
+  TIER_SETTINGS,
+  TIER_MONITOR,
+  detectDeviceTier,
+  lowerTier,
+  readGraphicsPreferences,
+  writeGraphicsPreferences,
+} from "../config/performance";
+import { estimateStartingTier, measureGpuTier } from "../performance/gpuBenchmark";
 
-// Performance Tiers
-export const TIERS = {
-  HIGH: "HIGH",
-  MEDIUM: "MEDIUM",
-  LOW: "LOW",
-};
-
-// Settings for each tier
-const SETTINGS = {
-  [TIERS.HIGH]: {
-    dpr: [1, 2], // Allow up to 2x pixel density
-    shadows: true, // Enable shadows
-    antialias: true,
-    powerPreference: "high-performance",
-    physicsStep: 1 / 60,
-    textureQuality: "high",
-    particleCount: 1.0, // 100% particles
-  },
-  [TIERS.MEDIUM]: {
-    dpr: [1, 1.5], // Cap at 1.5x
-    shadows: true, // Keep shadows but maybe lower quality map size (handled in components)
-    antialias: true,
-    powerPreference: "default",
-    physicsStep: 1 / 60,
-    textureQuality: "medium",
-    particleCount: 0.8, // 80% particles
-  },
-  [TIERS.LOW]: {
-    dpr: 1, // Fixed 1x pixel density
-    shadows: false, // Disable shadows completely
-    antialias: false, // Disable AA if possible or rely on fast AA
-    powerPreference: "low-power",
-    physicsStep: 1 / 45, // Slower physics updates if needed
-    textureQuality: "low",
-    particleCount: 0.4, // 40% particles
-  },
-};
+// Tiers + per-tier settings live in config/performance (also read outside React)
+export { TIERS };
 
 const PerformanceContext = createContext(null);
 
+const capDpr = (dpr, max) => (Array.isArray(dpr) ? dpr.map((value) => Math.min(value, max)) : Math.min(dpr, max));
+
 export const usePerformance = () => {
   const context = useContext(PerformanceContext);
   if (!context) {
@@ -50,59 +29,120 @@ export const usePerformance = () => {
 };
 
 export const PerformanceProvider = ({ children }) => {
-  const [tier, setTier] = useState(TIERS.HIGH); // Default to HIGH, degrade if needed
+  // Automatic tier: device heuristics + the GPU tier cached on an earlier visit, until the measurement is in
+  const [autoTier, setAutoTier] = useState(estimateStartingTier);
   const [isDetecting, setIsDetecting] = useState(true);
 
+  // Overrides from the settings panel, persisted - a chosen quality replaces the automatic tier
+  const [preferences, setPreferences] = useState(readGraphicsPreferences);
+  const [prefersReducedMotion] = useState(() => window.matchMedia?.("(prefers-reduced-motion: reduce)").matches ?? false);
+  const isTierLocked = TIER_SETTINGS[preferences.quality] !== undefined;
+  const tier = isTierLocked ? preferences.quality : autoTier;
+
+  useEffect(() => {
+    writeGraphicsPreferences(preferences);
+  }, [preferences]);
+
+  // Ceiling for upgrades - fps can win back what it took, not more than the device check allows
+  const detectedTierRef = useRef(TIERS.HIGH);
+
+  // Device heuristics + GPU micro-benchmark (cached per GPU + browser), the lower tier wins
   useEffect(() => {
-    const detectTier = () => {
-      let detectedTier = TIERS.HIGH;
-
-      // 1. Mobile Check
-      const isMobile = /iPhone|iPad|iPod|Android/i.test(navigator.userAgent);
-      if (isMobile) {
-        detectedTier = TIERS.MEDIUM;
-      }
-
-      // 2. Hardware Concurrency (CPU Cores)
-      // Low-end devices usually have 4 or fewer cores
-      if (navigator.hardwareConcurrency && navigator.hardwareConcurrency <= 4) {
-        detectedTier = isMobile ? TIERS.LOW : TIERS.MEDIUM;
-      }
-
-      // 3. GPU/FPS Estimate (Simplistic)
-      // We can't easily benchmark GPU without rendering, but we can assume
-      // if user is on a mobile device with low cores, it's LOW.
-      // If it's a desktop with <= 4 cores (e.g. old i5/i3 laptop), start at MEDIUM.
-
-      // Override for very weak hardware
-      if (navigator.deviceMemory && navigator.deviceMemory <= 4) {
-        detectedTier = TIERS.LOW;
-      }
+    let cancelled = false;
+    const { tier: deviceTier, isMobile } = detectDeviceTier();
+
+    measureGpuTier().then((gpu) => {
+      if (cancelled) return;
 
+      const detectedTier = gpu ? lowerTier(deviceTier, gpu.tier) : deviceTier;
+      let gpuInfo = "not measured";
+      if (gpu?.cached) gpuInfo = `${gpu.tier} (cached)`;
+      else if (gpu) gpuInfo = `${gpu.tier} (${gpu.frameMs === null ? "software renderer" : `${gpu.frameMs.toFixed(1)} ms/frame`})`;
       console.log(
-        `[Performance] Detected Tier: ${detectedTier} | Cores: ${navigator.hardwareConcurrency} | Mobile: ${isMobile}`
+        `[Performance] Detected Tier: ${detectedTier} | Cores: ${navigator.hardwareConcurrency} | Mobile: ${isMobile} | GPU: ${gpu?.renderer ?? "unknown"} -> ${gpuInfo}`
       );
-      setTier(detectedTier);
+      detectedTierRef.current = detectedTier;
+      setAutoTier(detectedTier);
       setIsDetecting(false);
-    };
+    });
 
-    detectTier();
+    return () => { cancelled = true; };
   }, []);
 
-  // Function to manually downgrade tier (called by PerformanceMonitor)
-  const downgradeTier = () => {
-    setTier((current) => {
-      if (current === TIERS.HIGH) return TIERS.MEDIUM;
-      if (current === TIERS.MEDIUM) return TIERS.LOW;
-      return TIERS.LOW;
+  // Report tier changes after the initial detection, with the reason of the last change
+  const reportedTier = useRef(null);
+  const changeReason = useRef(null);
+  useEffect(() => {
+    if (isDetecting) return;
+    if (reportedTier.current && reportedTier.current !== tier) {
+      track(ANALYTICS_EVENTS.PERFORMANCE_TIER_CHANGED, { from: reportedTier.current, to: tier, reason: changeReason.current });
+    }
+    reportedTier.current = tier;
+  }, [tier, isDetecting]);
+
+  // One step down (-1) or up (+1) - refused during the cooldown after the previous change
+  // and while the visitor has picked a quality themselves
+  const lastChangeAt = useRef(-Infinity);
+  const changeTier = useCallback((direction, reason) => {
+    if (isTierLocked) return false;
+
+    const now = performance.now();
+    if (now - lastChangeAt.current < TIER_MONITOR.cooldownMs) return false;
+
+    const index = TIER_ORDER.indexOf(autoTier) + direction;
+    if (index < 0 || index > TIER_ORDER.indexOf(detectedTierRef.current)) return false;
+
+    const next = TIER_ORDER[index];
+    console.log(`[Performance] Tier ${autoTier} -> ${next} (${reason})`);
+    lastChangeAt.current = now;
+    changeReason.current = reason;
+    setAutoTier(next);
+    return true;
+  }, [autoTier, isTierLocked]);
+
+  // Called by TierMonitor - return whether the tier actually changed
+  const downgradeTier = useCallback((reason = "manual") => changeTier(-1, reason), [changeTier]);
+  const upgradeTier = useCallback((reason = "manual") => changeTier(1, reason), [changeTier]);
+
+  // value 'auto' (or undefined) goes back to following the tier
+  const setPreference = useCallback((key, value) => {
+    if (key === "quality") changeReason.current = "settings";
+    setPreferences((current) => {
+      const next = { ...current };
+      if (value === undefined || value === "auto") delete next[key];
+      else next[key] = value;
+      return next;
     });
-  };
+  }, []);
+
+  const resetPreferences = useCallback(() => {
+    changeReason.current = "settings";
+    setPreferences({});
+  }, []);
+
+  // Tier settings with the visitor's overrides on top - Canvas and scene read these live
+  const settings = useMemo(() => {
+    const base = TIER_SETTINGS[tier];
+    return {
+      ...base,
+      dpr: preferences.maxDpr ? capDpr(base.dpr, preferences.maxDpr) : base.dpr,
+      shadows: preferences.shadows ?? base.shadows,
+      postEffects: preferences.postEffects ?? base.postEffects,
+      motion: preferences.motion ?? (prefersReducedMotion ? 0.5 : 1), // Camera parallax / glance scale
+    };
+  }, [tier, preferences, prefersReducedMotion]);
 
   const value = {
     tier,
-    settings: SETTINGS[tier],
+    autoTier,
+    settings,
     isDetecting,
+    isTierLocked,
+    preferences,
+    setPreference,
+    resetPreferences,
     downgradeTier,
+    upgradeTier,
   };
 
   return (
@@ -1,4 +1,7 @@
-import { createContext, useContext, useState, useCallback, useMemo } from 'react';
+import { createContext, useContext, useState, useCallback, useMemo, useRef } from 'react';
+import { SCENE_STATES, INITIAL_MACHINE, transition, getTeleportPhase } from './sceneMachine';
+import { track, ANALYTICS_EVENTS } from '../analytics/eventBus';
+import { settleAnimations } from '../animation/animationRegistry';
 
 const SceneContext = createContext(null);
 
@@ -10,107 +13,196 @@ export const useScene = () => {
     return context;
 };
 
+// Keep the last N transitions for inspection (getTransitionLog)
+const TRANSITION_LOG_SIZE = 50;
+
+// Analytics event for a transition: (previous, next) => [type, payload]
+const TRANSITION_ANALYTICS = {
+    ENTER: () => [ANALYTICS_EVENTS.ENTRANCE_OPENED],
+    ARRIVE: (prev, next) => [ANALYTICS_EVENTS.DOOR_ENTERED, { room: next.room, viaTeleport: prev.viaTeleport }],
+    LEAVE: (prev) => [ANALYTICS_EVENTS.ROOM_EXITED, { room: prev.room }],
+    TELEPORT: (prev, next) => [ANALYTICS_EVENTS.TELEPORT_STARTED, { from: prev.room, to: next.target, deepLink: false }],
+    DEEP_LINK: (prev, next) => [ANALYTICS_EVENTS.TELEPORT_STARTED, { from: null, to: next.target, deepLink: true }],
+    OPENED: (prev, next) => [ANALYTICS_EVENTS.TELEPORT_COMPLETED, { room: next.target }],
+    CANCEL: (prev) => [ANALYTICS_EVENTS.TELEPORT_CANCELLED, { room: prev.target }],
+};
+
+// Scoped GSAP animations settled by a transition (see animation/animationRegistry)
+const TRANSITION_ANIMATIONS = {
+    TELEPORT: 'teleport',
+    DEEP_LINK: 'teleport',
+    EXIT: 'exit',
+};
+
 export const SceneProvider = ({ children }) => {
-    const [currentRoom, setCurrentRoom] = useState(null); // null = corridor, 'about', 'portfolio', etc.
-    const [hasEntered, setHasEntered] = useState(false);  // Has user clicked entrance doors?
-    const [exitRequested, setExitRequested] = useState(false); // Signal to request exit from room
+    // Navigation state machine - see sceneMachine.js for states and allowed transitions
+    const [machine, setMachine] = useState(INITIAL_MACHINE);
+    const machineRef = useRef(INITIAL_MACHINE); // Synchronous copy so back-to-back events see each other
+    const transitionLog = useRef([]);
+    const transitionListeners = useRef(new Set());
+
     const [overlayContent, setOverlayContent] = useState(null); // Content for overlay (Studio monitor etc)
+    const [activeItem, setActiveItem] = useState(null); // ID of content open inside the room (mirrored into the URL)
+    const [pendingItem, setPendingItem] = useState(null); // { roomId, itemId } the room should open once inside (deep link)
+    const [teleportProgress, setTeleportProgress] = useState(0); // Destination readiness 0-1 while the paper is closed
+    const [teleportNotice, setTeleportNotice] = useState(null); // Message shown after a cancelled teleport
 
-    // Teleportation states
-    const [teleportTarget, setTeleportTarget] = useState(null); // Room ID to teleport to
-    const [isTeleporting, setIsTeleporting] = useState(false);  // Currently in teleport transition
-    const [teleportPhase, setTeleportPhase] = useState(null);   // 'closing' | 'teleporting' | 'opening' | null
-    const [pendingDoorClick, setPendingDoorClick] = useState(null); // Label of door to click after teleport
+    // Single entry point for every navigation change
+    // Returns false (and warns in dev) if the event isn't allowed in the current state
+    const send = useCallback((event, payload = {}) => {
+        const current = machineRef.current;
+        const next = transition(current, event, payload);
 
-    const enterRoom = useCallback((roomId) => {
-        setCurrentRoom(roomId);
-        setExitRequested(false); // Clear any pending exit request
-        setOverlayContent(null); // Clear overlay on room change
+        if (!next) {
+            if (import.meta.env.DEV) {
+                console.warn(`[SceneContext] Rejected '${event}' in state '${current.state}'`, payload);
+            }
+            return false;
+        }
+
+        machineRef.current = next;
+        transitionLog.current.push({ event, from: current.state, to: next.state, payload, time: performance.now() });
+        if (transitionLog.current.length > TRANSITION_LOG_SIZE) transitionLog.current.shift();
 
-        // Teleportation cleanup - if we just teleported in
-        setIsTeleporting(false);
-        setPendingDoorClick(null);
-        setTeleportPhase(null);
+        const analytics = TRANSITION_ANALYTICS[event]?.(current, next);
+        if (analytics) track(...analytics);
+
+        if (TRANSITION_ANIMATIONS[event]) settleAnimations(TRANSITION_ANIMATIONS[event]);
+
+        transitionListeners.current.forEach((listener) => listener({ event, payload, from: current.state, to: next.state }));
+
+        setMachine(next);
+        return true;
     }, []);
 
+    const getTransitionLog = useCallback(() => [...transitionLog.current], []);
+
+    // Be notified of every accepted transition - returns unsubscribe
+    const subscribeTransitions = useCallback((listener) => {
+        transitionListeners.current.add(listener);
+        return () => transitionListeners.current.delete(listener);
+    }, []);
+
+    // Door animation started (click on a corridor door)
+    const beginEnterRoom = useCallback((roomId) => send('OPEN_DOOR', { roomId }), [send]);
+
+    // Camera finished flying into the room
+    const enterRoom = useCallback((roomId) => {
+        if (!send('ARRIVE', { roomId })) return;
+        setOverlayContent(null); // Clear overlay on room change
+        setActiveItem(null);
+    }, [send]);
+
+    // Exit animation finished - back in the corridor
     const exitRoom = useCallback(() => {
-        setCurrentRoom(null);
-        setExitRequested(false);
+        if (!send('LEAVE')) return;
         setOverlayContent(null);
-    }, []);
+        setActiveItem(null);
+        setPendingItem(null);
+    }, [send]);
 
     // Request exit - this signals to DoorSection to trigger exit animation
     const requestExit = useCallback(() => {
-        setExitRequested(true);
+        if (!send('EXIT')) return;
         setOverlayContent(null);
-    }, []);
+    }, [send]);
 
     // Clear exit request - called by DoorSection after handling
     const clearExitRequest = useCallback(() => {
-        setExitRequested(false);
-    }, []);
+        send('EXIT_HANDLED');
+    }, [send]);
 
     const markEntered = useCallback(() => {
-        setHasEntered(true);
-    }, []);
+        send('ENTER');
+    }, [send]);
 
     const openOverlay = useCallback((content) => {
         setOverlayContent(content);
+        track(ANALYTICS_EVENTS.OVERLAY_OPENED, { room: machineRef.current.room, id: content?.id ?? null });
     }, []);
 
     const closeOverlay = useCallback(() => {
         setOverlayContent(null);
     }, []);
 
+    // Room content deep links
+
+    // Ask a room to open an item once the visitor is inside (itemId null = close the open item)
+    const requestItem = useCallback((roomId, itemId) => {
+        setPendingItem({ roomId, itemId });
+    }, []);
+
+    // Called by the room after it handled pendingItem
+    const clearPendingItem = useCallback(() => {
+        setPendingItem(null);
+    }, []);
+
     // Teleportation functions
 
     // Initiate teleport - called when user clicks room on map
+    // Rejected mid-animation or for the room we're already in
     const teleportTo = useCallback((roomId) => {
-        if (isTeleporting || roomId === currentRoom) return; // Prevent double teleport or same room
+        if (!send('TELEPORT', { roomId })) return;
+        setOverlayContent(null);
+        // An item still on its way in the room we're leaving would hold the URL sync back
+        setPendingItem((pending) => (pending?.roomId === roomId ? pending : null));
+        setTeleportProgress(0);
+        setTeleportNotice(null);
+    }, [send]);
 
-        setTeleportTarget(roomId);
-        setIsTeleporting(true);
-        setTeleportPhase('closing'); // Paper starts closing
+    // Deep link - jump straight into a room on first load (e.g. visiting /gallery)
+    // Skips the entrance and the 'closing' phase since the preloader still covers the screen
+    const deepLinkTo = useCallback((roomId) => {
+        if (!send('DEEP_LINK', { roomId })) return;
         setOverlayContent(null);
-    }, [isTeleporting, currentRoom]);
+        setTeleportProgress(0);
+        setTeleportNotice(null);
+    }, [send]);
 
-    // Called when paper close animation completes - actually move camera
+    // Called when paper close animation completes - camera is moved by TeleportRoom
     const startTeleportTransition = useCallback(() => {
-        setTeleportPhase('teleporting');
-        // Camera will be moved here by listening components
+        send('CLOSED');
+    }, [send]);
+
+    // Destination loading progress (0-1) - drawn on the closed paper
+    const reportTeleportProgress = useCallback((progress) => {
+        setTeleportProgress(progress);
     }, []);
 
     // Called when teleport is ready (room loaded) - start paper open animation
     const openTeleportTransition = useCallback(() => {
-        setTeleportPhase('opening');
-    }, []);
+        send('OPEN');
+    }, [send]);
 
-    // Called when paper open animation completes - cleanup
+    // Called when paper open animation completes - the target door auto-clicks (pendingDoorClick)
     const completeTeleport = useCallback(() => {
-        // Trigger door click for the target room
-        setPendingDoorClick(teleportTarget);
-
-        // Don't clear isTeleporting yet! Wait for enterRoom() logic to finish
-        // We only clear target and phase here
-        setTeleportTarget(null);
-        setTeleportPhase(null);
-    }, [teleportTarget]);
-
-    // REMOVED clearPendingDoorClick - it's now handled in enterRoom
-
-    // Cancel teleport (in case of error)
-    const cancelTeleport = useCallback(() => {
-        setTeleportTarget(null);
-        setIsTeleporting(false);
-        setTeleportPhase(null);
-        setPendingDoorClick(null);
+        send('OPENED');
+    }, [send]);
+
+    // Cancel teleport (in case of error) - notice tells the visitor what happened
+    const cancelTeleport = useCallback((notice = null) => {
+        if (!send('CANCEL')) return;
+        setTeleportNotice(notice);
+    }, [send]);
+
+    const clearTeleportNotice = useCallback(() => {
+        setTeleportNotice(null);
     }, []);
 
+    // Legacy flags - derived from the machine so existing consumers keep working
+    const { state: sceneState, room: currentRoom, target, viaTeleport, exitPending } = machine;
+    const teleportPhase = getTeleportPhase(sceneState);
+    const isTeleporting = teleportPhase !== null || (sceneState === SCENE_STATES.ENTERING && viaTeleport);
+
     const value = useMemo(() => ({
+        sceneState,
+        getTransitionLog,
+        subscribeTransitions,
         currentRoom,
-        hasEntered,
-        exitRequested,
+        hasEntered: sceneState !== SCENE_STATES.ENTRANCE,
+        exitRequested: exitPending,
         overlayContent, // Exposed
+        beginEnterRoom,
         enterRoom,
         exitRoom,
         requestExit,
@@ -119,21 +211,35 @@ export const SceneProvider = ({ children }) => {
         openOverlay,    // Exposed
         closeOverlay,   // Exposed
         isInRoom: currentRoom !== null,
+        // Room content
+        activeItem,
+        setActiveItem,
+        pendingItem,
+        requestItem,
+        clearPendingItem,
         // Teleportation
-        teleportTarget,
+        teleportTarget: teleportPhase ? target : null,
         isTeleporting,
         teleportPhase,
-        pendingDoorClick,
+        teleportProgress,
+        teleportNotice,
+        pendingDoorClick: sceneState === SCENE_STATES.ENTERING && viaTeleport ? target : null, // Door to auto-click after teleport
         teleportTo,
+        deepLinkTo,
         startTeleportTransition,
+        reportTeleportProgress,
         openTeleportTransition,
         completeTeleport,
         cancelTeleport,
+        clearTeleportNotice,
     }), [
+        sceneState,
+        getTransitionLog,
+        subscribeTransitions,
         currentRoom,
-        hasEntered,
-        exitRequested,
+        exitPending,
         overlayContent,
+        beginEnterRoom,
         enterRoom,
         exitRoom,
         requestExit,
@@ -141,16 +247,25 @@ export const SceneProvider = ({ children }) => {
         markEntered,
         openOverlay,
         closeOverlay,
+        activeItem,
+        pendingItem,
+        requestItem,
+        clearPendingItem,
         // Teleportation dependencies
-        teleportTarget,
+        target,
+        viaTeleport,
         isTeleporting,
         teleportPhase,
-        pendingDoorClick,
+        teleportProgress,
+        teleportNotice,
         teleportTo,
+        deepLinkTo,
         startTeleportTransition,
+        reportTeleportProgress,
         openTeleportTransition,
         completeTeleport,
-        cancelTeleport
+        cancelTeleport,
+        clearTeleportNotice
     ]);
 
     return (
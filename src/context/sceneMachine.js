@@ -0,0 +1,122 @@
+/**
+ * Scene Navigation State Machine
+ *
+ * Single source of truth for where the visitor is in the experience.
+ * Every change goes through transition(), which only allows the moves
+ * listed in TRANSITIONS - anything else is rejected (returns null).
+ *
+ * Context carried alongside the state:
+ * - room: room the visitor is in (kept during a teleport until the new room is reached)
+ * - target: room being entered / teleported to
+ * - viaTeleport: the current 'entering' was started by a teleport (door auto-click)
+ * - exitPending: an exit was requested and DoorSection hasn't picked it up yet
+ */
+
+export const SCENE_STATES = {
+    ENTRANCE: 'entrance',                 // In front of the entrance doors
+    CORRIDOR: 'corridor',                 // Free scrolling in the corridor
+    ENTERING: 'entering',                 // Door opening + camera flying into a room
+    IN_ROOM: 'inRoom',                    // Inside a room
+    EXITING: 'exiting',                   // Reverse animation back to the corridor
+    TELEPORT_CLOSING: 'teleportClosing',  // Paper halves sliding together
+    TELEPORT_MOVING: 'teleportMoving',    // Paper closed, camera moved to the destination door
+    TELEPORT_OPENING: 'teleportOpening',  // Paper tearing apart
+};
+
+const S = SCENE_STATES;
+
+// Cancelling a teleport before the camera moved returns to where we were
+const cancelBeforeMove = {
+    to: (machine) => (machine.room ? S.IN_ROOM : S.CORRIDOR),
+    update: () => ({ target: null }),
+};
+
+// After the move the old room is already gone - land in the corridor
+const cancelAfterMove = {
+    to: S.CORRIDOR,
+    update: () => ({ room: null, target: null, viaTeleport: false }),
+};
+
+const startTeleport = {
+    to: S.TELEPORT_CLOSING,
+    guard: (machine, { roomId }) => !!roomId && roomId !== machine.room,
+    update: (machine, { roomId }) => ({ target: roomId }),
+};
+
+// state -> event -> { to, guard?, update? }
+const TRANSITIONS = {
+    [S.ENTRANCE]: {
+        ENTER: { to: S.CORRIDOR },
+        DEEP_LINK: {
+            to: S.TELEPORT_MOVING,
+            guard: (machine, { roomId }) => !!roomId,
+            update: (machine, { roomId }) => ({ target: roomId }),
+        },
+    },
+    [S.CORRIDOR]: {
+        OPEN_DOOR: {
+            to: S.ENTERING,
+            guard: (machine, { roomId }) => !!roomId,
+            update: (machine, { roomId }) => ({ target: roomId, viaTeleport: false }),
+        },
+        TELEPORT: startTeleport,
+    },
+    [S.ENTERING]: {
+        ARRIVE: {
+            to: S.IN_ROOM,
+            guard: (machine, { roomId }) => roomId === machine.target,
+            update: (machine, { roomId }) => ({ room: roomId, target: null, viaTeleport: false }),
+        },
+    },
+    [S.IN_ROOM]: {
+        EXIT: { to: S.EXITING, update: () => ({ exitPending: true }) },
+        TELEPORT: startTeleport,
+    },
+    [S.EXITING]: {
+        EXIT_HANDLED: { to: S.EXITING, update: () => ({ exitPending: false }) },
+        LEAVE: { to: S.CORRIDOR, update: () => ({ room: null, exitPending: false }) },
+    },
+    [S.TELEPORT_CLOSING]: {
+        CLOSED: { to: S.TELEPORT_MOVING },
+        CANCEL: cancelBeforeMove,
+    },
+    [S.TELEPORT_MOVING]: {
+        OPEN: { to: S.TELEPORT_OPENING },
+        CANCEL: cancelAfterMove,
+    },
+    [S.TELEPORT_OPENING]: {
+        OPENED: { to: S.ENTERING, update: () => ({ viaTeleport: true }) },
+        CANCEL: cancelAfterMove,
+    },
+};
+
+export const INITIAL_MACHINE = {
+    state: S.ENTRANCE,
+    room: null,
+    target: null,
+    viaTeleport: false,
+    exitPending: false,
+};
+
+// Returns the next machine, or null if the event isn't allowed in the current state
+export const transition = (machine, event, payload = {}) => {
+    const rule = TRANSITIONS[machine.state]?.[event];
+    if (!rule) return null;
+    if (rule.guard && !rule.guard(machine, payload)) return null;
+
+    const to = typeof rule.to === 'function' ? rule.to(machine, payload) : rule.to;
+
+    return {
+        ...machine,
+        ...(rule.update ? rule.update(machine, payload) : {}),
+        state: to,
+    };
+};
+
+// Teleport phase name used by PaperTransition / TeleportRoom
+export const getTeleportPhase = (state) => {
+    if (state === S.TELEPORT_CLOSING) return 'closing';
+    if (state === S.TELEPORT_MOVING) return 'teleporting';
+    if (state === S.TELEPORT_OPENING) return 'opening';
+    return null;
+};
@@ -0,0 +1,18 @@
+import { useEffect } from 'react';
+import { registerAmbient } from '../performance/renderScheduler';
+
+/**
+ * useAmbientActivity Hook
+ *
+ * Registers an ambient loop (idle float, sway, flight...) with the render scheduler:
+ * while nothing else moves the Canvas still renders at `fps` for as long as the component
+ * is mounted and `enabled`. Pick the lowest rate at which the motion still looks smooth.
+ */
+const useAmbientActivity = (fps, enabled = true) => {
+    useEffect(() => {
+        if (!enabled || fps <= 0) return;
+        return registerAmbient(fps);
+    }, [fps, enabled]);
+};
+
+export default useAmbientActivity;
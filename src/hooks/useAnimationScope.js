@@ -0,0 +1,29 @@
+import { useState, useEffect, useLayoutEffect } from 'react';
+import { createAnimationScope } from '../animation/animationRegistry';
+
+/**
+ * useAnimationScope Hook
+ *
+ * GSAP scope for a component (see animation/animationRegistry).
+ * Use scope.to / scope.fromTo / scope.timeline instead of gsap.* - the animations
+ * are settled by the kind's policy on unmount, teleport and exit.
+ * onInterrupt(event) runs when a teleport / exit killed animations mid-flight
+ * (their onComplete won't) - reset whatever those callbacks would have.
+ */
+const useAnimationScope = (owner, kind, { onInterrupt } = {}) => {
+    const [scope] = useState(() => createAnimationScope(owner, kind));
+
+    // Latest callback - the scope itself lives as long as the component
+    useLayoutEffect(() => {
+        scope.setInterruptHandler(onInterrupt ?? null);
+    }, [scope, onInterrupt]);
+
+    useEffect(() => {
+        scope.attach();
+        return () => scope.dispose();
+    }, [scope]);
+
+    return scope;
+};
+
+export default useAnimationScope;
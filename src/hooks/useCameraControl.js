@@ -0,0 +1,45 @@
+import { useRef, useCallback, useEffect, useMemo } from 'react';
+import { useThree } from '@react-three/fiber';
+import { acquireCamera } from '../camera/cameraControllers';
+
+/**
+ * useCameraControl Hook
+ *
+ * One camera controller for a component (see camera/cameraControllers).
+ * acquire() / release(options) can be called any number of times - only one hold at a time.
+ * isOwner() is what frame loops check before writing to the camera.
+ * Anything still held is released (pose kept) on unmount.
+ */
+const useCameraControl = (owner, priority, { rotationOrder = 'XYZ', onResume } = {}) => {
+    const { camera } = useThree();
+    const handle = useRef(null);
+    const onResumeRef = useRef(onResume);
+
+    useEffect(() => {
+        onResumeRef.current = onResume;
+    }, [onResume]);
+
+    const acquire = useCallback(() => {
+        if (handle.current) return;
+        handle.current = acquireCamera(camera, {
+            owner,
+            priority,
+            rotationOrder,
+            onResume: (resumedCamera) => onResumeRef.current?.(resumedCamera)
+        });
+    }, [camera, owner, priority, rotationOrder]);
+
+    const release = useCallback((options) => {
+        if (!handle.current) return;
+        handle.current.release(options);
+        handle.current = null;
+    }, []);
+
+    const isOwner = useCallback(() => handle.current?.isOwner() ?? false, []);
+
+    useEffect(() => () => release({ restorePose: false }), [release]);
+
+    return useMemo(() => ({ acquire, release, isOwner }), [acquire, release, isOwner]);
+};
+
+export default useCameraControl;
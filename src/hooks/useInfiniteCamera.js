@@ -2,21 +2,23 @@ import { useRef, useEffect, useCallback, useLayoutEffect } from 'react';
 import gsap from 'gsap';
 import { useThree, useFrame } from '@react-three/fiber';
 import * as THREE from 'three';
+import { track, ANALYTICS_EVENTS } from '../analytics/eventBus';
+import { ROOMS } from '../config/rooms';
+import { CAMERA_PRIORITY } from '../camera/cameraControllers';
+import useCameraControl from './useCameraControl';
 
-// Door positions for auto-glance
-const DOOR_POSITIONS = [
-    { z: -18, side: 'left' },
-    { z: -32, side: 'right' },
-    { z: -48, side: 'left' },
-    { z: -62, side: 'right' },
-];
+// Door positions for auto-glance and room prefetch
+const DOOR_POSITIONS = ROOMS.map(({ id, relativeZ, side }) => ({ id, z: relativeZ, side }));
 
 /**
  * useInfiniteCamera Hook
  * 
  * When disabled: does NOT touch camera at all (GSAP can control it)
  * When enabled: takes over camera control with scroll/parallax
+ * Holds the lowest camera priority - doors, rooms and teleports take the camera over
+ * and the corridor picks up from wherever they hand it back.
  * Supports: desktop (mouse/wheel) + mobile (touch/gyroscope)
+ * onDoorApproach(roomId) fires (every frame) while a door is less than prefetchDistance ahead.
  */
 const useInfiniteCamera = ({
     segmentLength = 80,
@@ -25,7 +27,9 @@ const useInfiniteCamera = ({
     smoothing = 0.06,
     glanceIntensity = 0.15,
     scrollEnabled = true,
-    parallaxEnabled = true
+    parallaxEnabled = true,
+    prefetchDistance = 0, // 0 = no door approach reports
+    onDoorApproach
 } = {}) => {
     const { camera } = useThree();
 
@@ -37,8 +41,10 @@ const useInfiniteCamera = ({
     const glanceOffset = useRef(0);
     const targetGlance = useRef(0); // For door hover glance
     const currentSegment = useRef(0);
+    const deepestSegment = useRef(0); // Furthest segment reached (analytics)
     const scrollEnabledRef = useRef(scrollEnabled);
     const parallaxEnabledRef = useRef(parallaxEnabled);
+    const doorApproach = useRef({ distance: prefetchDistance, callback: onDoorApproach });
     const justEnabled = useRef(false);
 
     // Mobile touch tracking
@@ -47,13 +53,13 @@ const useInfiniteCamera = ({
     const targetSwipeGlance = useRef(0);
     const useGyroscope = useRef(false);
 
-    // Camera override - when true, external code (like DoorSection) controls camera
-    const cameraOverride = useRef(false);
     // Skip first frame after re-enabling to prevent camera jump
     const skipFrameAfterEnable = useRef(false);
     // Smooth blend-in counter (frames remaining to blend from saved rotation)
     const blendInFrames = useRef(0);
     const savedRotation = useRef({ x: 0, y: 0, z: 0 });
+    // Set by jumpTo() - the camera is already in its final pose, enable without blend-in
+    const snapOnEnable = useRef(false);
 
     // Limits for swipe glance (in radians, ~15 degrees each way)
     const MAX_SWIPE_GLANCE = 0.26;
@@ -66,6 +72,7 @@ const useInfiniteCamera = ({
         const wasScrollEnabled = scrollEnabledRef.current;
         scrollEnabledRef.current = scrollEnabled;
         parallaxEnabledRef.current = parallaxEnabled;
+        doorApproach.current = { distance: prefetchDistance, callback: onDoorApproach };
 
         // When scroll becomes enabled, sync with current camera position
         if (scrollEnabled && !wasScrollEnabled) {
@@ -74,7 +81,10 @@ const useInfiniteCamera = ({
             gsap.killTweensOf(camera.rotation);
             gsap.killTweensOf(camera.savedState); // Just in case
 
-            justEnabled.current = true;
+            const snap = snapOnEnable.current;
+            snapOnEnable.current = false;
+
+            justEnabled.current = !snap;
 
             // SAVE current camera rotation for smooth blend-in
             // This prevents the instant lookAt() from snapping the camera
@@ -85,7 +95,7 @@ const useInfiniteCamera = ({
             };
 
             // Start blend-in phase (30 frames ≈ 0.5 sec at 60fps)
-            blendInFrames.current = 30;
+            blendInFrames.current = snap ? 0 : 30;
 
             targetZ.current = camera.position.z;
             currentZ.current = camera.position.z;
@@ -107,7 +117,7 @@ const useInfiniteCamera = ({
             // Recalculate segment
             currentSegment.current = Math.floor((10 - currentZ.current) / segmentLength);
         }
-    }, [scrollEnabled, parallaxEnabled, camera, parallaxIntensity]);
+    }, [scrollEnabled, parallaxEnabled, prefetchDistance, onDoorApproach, camera, parallaxIntensity]);
 
     // Handle wheel scroll (desktop)
     const handleWheel = useCallback((e) => {
@@ -224,10 +234,112 @@ const useInfiniteCamera = ({
         };
     }, [handleWheel, handleMouseMove, handleTouchStart, handleTouchMove, handleDeviceOrientation, requestGyroscopePermission]);
 
+    // Helper to calculate glance based on Z position
+    const calculateGlance = useCallback((z, segment) => {
+        const zOffset = 10 - (segment * segmentLength);
+        let bestStrength = 0;
+        let bestDir = 0;
+
+        const START_DIST = 15;
+        const PEAK_DIST = 8;
+        const END_DIST = -2;
+
+        for (const door of DOOR_POSITIONS) {
+            const doorGlobalZ = zOffset + door.z;
+            const dist = z - doorGlobalZ;
+
+            let strength = 0;
+            if (dist > PEAK_DIST && dist < START_DIST) {
+                strength = (START_DIST - dist) / (START_DIST - PEAK_DIST);
+            } else if (dist <= PEAK_DIST && dist > END_DIST) {
+                strength = (dist - END_DIST) / (PEAK_DIST - END_DIST);
+            }
+
+            if (strength > 0) {
+                const easedStrength = strength * (2 - strength);
+                const dir = door.side === 'left' ? -1 : 1;
+                if (easedStrength > bestStrength) {
+                    bestStrength = easedStrength;
+                    bestDir = dir;
+                }
+            }
+        }
+
+        return bestDir * bestStrength * glanceIntensity * 3.5;
+    }, [segmentLength, glanceIntensity]);
+
+    // Camera handed back by a door / room / teleport - sync our state with the current camera position
+    const resumeCorridor = useCallback(() => {
+        const z = camera.position.z;
+        targetZ.current = z;
+        currentZ.current = z;
+
+        // Recalculate current segment immediately
+        const initSegment = Math.floor((10 - z) / segmentLength);
+        currentSegment.current = initSegment;
+
+        // Sync parallax
+        parallax.current = { x: camera.position.x, y: camera.position.y - 0.2 };
+        targetParallax.current = { x: camera.position.x, y: camera.position.y - 0.2 };
+
+        // Calculate "Ideal" glance for this position
+        const initialGlance = calculateGlance(z, initSegment);
+
+        // SOFT RESUME LOGIC:
+        // Check if our current physical rotation matches the "ideal" glance.
+        // If we just exited a room via teleport, we might be looking STRAIGHT (0),
+        // but the "ideal" glance wants us to look at the door (nonzero).
+        // Mismatch causes a SNAP.
+        // Fix: If there's a mismatch, initialize glanceOffset to match REALITY, not IDEAL.
+
+        // 1. Get current physical "glance" equivalent from rotation
+        // rotation.y ≈ parallax + glance * 3 + swipe * 4
+        // We assume parallax is synced above, swipe is 0.
+        // So: currentRotationY ≈ (parallax.x * 0.3) + (glance * 3)
+        // glance ≈ (currentRotationY - parallax.x * 0.3) / 3
+
+        // Note: We use the camera's actual rotation.
+        // We also need to account for the lookAt logic which isn't a pure rotation addition,
+        // but for small angles, this approximation is sufficient to prevent the snap.
+        const currentRotationY = camera.rotation.y;
+        const parallaxContribution = parallax.current.x * 0.3;
+        const derivedGlance = (currentRotationY - parallaxContribution) / 3;
+
+        // 2. Check difference
+        const diff = Math.abs(derivedGlance - initialGlance);
+
+        // 3. If difference is significant (e.g. > 0.05 rads approx 3 deg), use DERIVED
+        // This happens when we exit looking straight (0) but should be looking at door
+        if (diff > 0.02) {
+            // Initialize with current PHYSICAL state so we start from where we ARE
+            glanceOffset.current = derivedGlance;
+            // Target is still the IDEAL state, so we will smooth to it
+            targetGlance.current = initialGlance;
+        } else {
+            // We are close enough, just snap to ideal to be precise
+            glanceOffset.current = initialGlance;
+            targetGlance.current = initialGlance;
+        }
+
+        // Skip the first frame to prevent camera jump
+        // This ensures useFrame doesn't immediately override exit animation position
+        skipFrameAfterEnable.current = true;
+
+        // Reset swipe glance
+        swipeGlance.current = 0;
+        targetSwipeGlance.current = 0;
+    }, [camera, calculateGlance, segmentLength]);
+
+    const corridorCamera = useCameraControl('corridor', CAMERA_PRIORITY.CORRIDOR, { onResume: resumeCorridor });
+
+    useEffect(() => {
+        corridorCamera.acquire();
+    }, [corridorCamera]);
+
     // Main camera update loop
     useFrame(() => {
-        // If camera override is active, let external code control the camera
-        if (cameraOverride.current) {
+        // Another controller (door, room, teleport) has the camera
+        if (!corridorCamera.isOwner()) {
             return;
         }
 
@@ -312,6 +424,24 @@ const useInfiniteCamera = ({
             const segment = Math.floor((10 - currentZ.current) / segmentLength);
             if (segment !== currentSegment.current) {
                 currentSegment.current = segment;
+
+                // Scroll depth for analytics - only new records
+                if (segment > deepestSegment.current) {
+                    deepestSegment.current = segment;
+                    track(ANALYTICS_EVENTS.CORRIDOR_DEPTH_REACHED, { segment });
+                }
+            }
+
+            // Room prefetch - doors ahead within range (next segment too, near the seam)
+            const { distance: approachDistance, callback: approachCallback } = doorApproach.current;
+            if (approachDistance > 0 && approachCallback) {
+                for (const seg of [segment, segment + 1]) {
+                    const zOffset = 10 - (seg * segmentLength);
+                    for (const door of DOOR_POSITIONS) {
+                        const dist = currentZ.current - (zOffset + door.z);
+                        if (dist > 0 && dist < approachDistance) approachCallback(door.id);
+                    }
+                }
             }
         } else if (parallaxActive) {
             // Parallax-only mode (during GSAP animation)
@@ -326,110 +456,35 @@ const useInfiniteCamera = ({
         }
     });
 
-    // Helper to calculate glance based on Z position
-    const calculateGlance = useCallback((z, segment) => {
-        const zOffset = 10 - (segment * segmentLength);
-        let bestStrength = 0;
-        let bestDir = 0;
-
-        const START_DIST = 15;
-        const PEAK_DIST = 8;
-        const END_DIST = -2;
-
-        for (const door of DOOR_POSITIONS) {
-            const doorGlobalZ = zOffset + door.z;
-            const dist = z - doorGlobalZ;
-
-            let strength = 0;
-            if (dist > PEAK_DIST && dist < START_DIST) {
-                strength = (START_DIST - dist) / (START_DIST - PEAK_DIST);
-            } else if (dist <= PEAK_DIST && dist > END_DIST) {
-                strength = (dist - END_DIST) / (PEAK_DIST - END_DIST);
-            }
-
-            if (strength > 0) {
-                const easedStrength = strength * (2 - strength);
-                const dir = door.side === 'left' ? -1 : 1;
-                if (easedStrength > bestStrength) {
-                    bestStrength = easedStrength;
-                    bestDir = dir;
-                }
-            }
-        }
-
-        return bestDir * bestStrength * glanceIntensity * 3.5;
-    }, [segmentLength, glanceIntensity]);
-
-    // Function to enable/disable camera override
-    const setCameraOverride = useCallback((active) => {
-        cameraOverride.current = active;
-        if (!active) {
-            // When releasing override, sync our state with current camera position
-            const z = camera.position.z;
-            targetZ.current = z;
-            currentZ.current = z;
-
-            // Recalculate current segment immediately
-            const initSegment = Math.floor((10 - z) / segmentLength);
-            currentSegment.current = initSegment;
-
-            // Sync parallax
-            parallax.current = { x: camera.position.x, y: camera.position.y - 0.2 };
-            targetParallax.current = { x: camera.position.x, y: camera.position.y - 0.2 };
-
-            // Calculate "Ideal" glance for this position
-            const initialGlance = calculateGlance(z, initSegment);
-
-            // SOFT RESUME LOGIC:
-            // Check if our current physical rotation matches the "ideal" glance.
-            // If we just exited a room via teleport, we might be looking STRAIGHT (0),
-            // but the "ideal" glance wants us to look at the door (nonzero).
-            // Mismatch causes a SNAP.
-            // Fix: If there's a mismatch, initialize glanceOffset to match REALITY, not IDEAL.
-
-            // 1. Get current physical "glance" equivalent from rotation
-            // rotation.y ≈ parallax + glance * 3 + swipe * 4
-            // We assume parallax is synced above, swipe is 0.
-            // So: currentRotationY ≈ (parallax.x * 0.3) + (glance * 3)
-            // glance ≈ (currentRotationY - parallax.x * 0.3) / 3
-
-            // Note: We use the camera's actual rotation.
-            // We also need to account for the lookAt logic which isn't a pure rotation addition,
-            // but for small angles, this approximation is sufficient to prevent the snap.
-            const currentRotationY = camera.rotation.y;
-            const parallaxContribution = parallax.current.x * 0.3;
-            const derivedGlance = (currentRotationY - parallaxContribution) / 3;
-
-            // 2. Check difference
-            const diff = Math.abs(derivedGlance - initialGlance);
-
-            // 3. If difference is significant (e.g. > 0.05 rads approx 3 deg), use DERIVED
-            // This happens when we exit looking straight (0) but should be looking at door
-            if (diff > 0.02) {
-                // Initialize with current PHYSICAL state so we start from where we ARE
-                glanceOffset.current = derivedGlance;
-                // Target is still the IDEAL state, so we will smooth to it
-                targetGlance.current = initialGlance;
-            } else {
-                // We are close enough, just snap to ideal to be precise
-                glanceOffset.current = initialGlance;
-                targetGlance.current = initialGlance;
-            }
-
-            // Skip the first frame to prevent camera jump
-            // This ensures useFrame doesn't immediately override exit animation position
-            skipFrameAfterEnable.current = true;
-
-            // Reset swipe glance
-            swipeGlance.current = 0;
-            targetSwipeGlance.current = 0;
-        }
+    // Place the camera straight into the corridor at Z (skip intro)
+    // Pose matches what the update loop would produce, so enabling scroll afterwards doesn't blend or jump
+    const jumpTo = useCallback((z) => {
+        gsap.killTweensOf(camera.position);
+        gsap.killTweensOf(camera.rotation);
+
+        const segment = Math.floor((10 - z) / segmentLength);
+        const glance = calculateGlance(z, segment);
+
+        targetZ.current = z;
+        currentZ.current = z;
+        currentSegment.current = segment;
+        parallax.current = { x: 0, y: 0 };
+        targetParallax.current = { x: 0, y: 0 };
+        glanceOffset.current = glance;
+        targetGlance.current = glance;
+        swipeGlance.current = 0;
+        targetSwipeGlance.current = 0;
+
+        camera.position.set(0, 0.2, z);
+        camera.lookAt(glance * 3, 0.13, z - 10);
+
+        snapOnEnable.current = true;
     }, [camera, calculateGlance, segmentLength]);
 
     return {
         getCurrentSegment: () => currentSegment.current,
         getCameraZ: () => currentZ.current,
-        setCameraOverride, // Allow external code to take over camera
+        jumpTo, // Skip intro - place camera in the corridor
         requestGyroscopePermission // Expose for UI button (iOS needs user interaction)
     };
 };
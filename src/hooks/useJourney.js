@@ -0,0 +1,19 @@
+import { createContext, useContext } from 'react';
+
+// Provided by JourneyProvider (context/JourneyContext) - kept apart so that file only exports components
+export const JourneyContext = createContext(null);
+
+/**
+ * useJourney Hook
+ *
+ * Journey recorder / replay state from the nearest JourneyProvider.
+ */
+const useJourney = () => {
+    const context = useContext(JourneyContext);
+    if (!context) {
+        throw new Error('useJourney must be used within a JourneyProvider');
+    }
+    return context;
+};
+
+export default useJourney;
@@ -0,0 +1,40 @@
+import { useState, useEffect, useCallback, useMemo } from 'react';
+import { PREFETCH_CONFIG } from '../config/prefetch';
+import { TIER_SETTINGS } from '../config/performance';
+import { prefetchRoom, isSaveDataOn } from '../prefetch/roomPrefetch';
+
+/**
+ * useRoomPrefetch Hook
+ *
+ * Prefetch policy for the current performance tier (see config/prefetch),
+ * textures in the tier's size variant.
+ * Returns { distance, onDoorApproach } for useInfiniteCamera,
+ * or distance 0 (off) while Save-Data is on.
+ */
+const useRoomPrefetch = (tier) => {
+    const [saveData, setSaveData] = useState(isSaveDataOn);
+
+    // Data saver can be toggled while the page is open
+    useEffect(() => {
+        const connection = navigator.connection;
+        if (!connection) return;
+
+        const handleChange = () => setSaveData(isSaveDataOn());
+        connection.addEventListener('change', handleChange);
+        return () => connection.removeEventListener('change', handleChange);
+    }, []);
+
+    const config = PREFETCH_CONFIG[tier] ?? PREFETCH_CONFIG.LOW;
+    const quality = (TIER_SETTINGS[tier] ?? TIER_SETTINGS.LOW).textureQuality;
+
+    const onDoorApproach = useCallback((roomId) => {
+        prefetchRoom(roomId, { textures: config.textures, quality });
+    }, [config, quality]);
+
+    return useMemo(() => ({
+        distance: saveData ? 0 : config.distance,
+        onDoorApproach
+    }), [saveData, config, onDoorApproach]);
+};
+
+export default useRoomPrefetch;
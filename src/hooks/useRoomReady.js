@@ -0,0 +1,67 @@
+import { useState, useEffect } from 'react';
+import { useThree } from '@react-three/fiber';
+
+/**
+ * useRoomReady Hook
+ *
+ * Readiness for a room component (replaces counting frames).
+ * Once the room has mounted it uploads every texture under rootRef (renderer.initTexture)
+ * and compiles the scene's materials with the room in it (renderer.compileAsync),
+ * then calls onReady - DoorSection opens the door - and returns true.
+ */
+
+// Textures used by the materials under root (map, normalMap, ... and shader uniforms)
+const collectTextures = (root) => {
+    const textures = new Set();
+
+    root.traverse((object) => {
+        const materials = Array.isArray(object.material) ? object.material : [object.material];
+
+        materials.forEach((material) => {
+            if (!material) return;
+            const uniforms = material.uniforms ? Object.values(material.uniforms).map((uniform) => uniform.value) : [];
+
+            [...Object.values(material), ...uniforms].forEach((value) => {
+                if (value?.isTexture) textures.add(value);
+            });
+        });
+    });
+
+    return textures;
+};
+
+const useRoomReady = (rootRef, onReady) => {
+    const { gl, scene, camera } = useThree();
+    const [isReady, setIsReady] = useState(false);
+
+    useEffect(() => {
+        const root = rootRef.current;
+        if (!root) return;
+
+        let cancelled = false;
+
+        // Upload now instead of on the first frame the door reveals
+        collectTextures(root).forEach((texture) => gl.initTexture(texture));
+
+        // Whole scene (not just root) so the room's programs are built with the scene's lights
+        const compile = 'compileAsync' in gl ? gl.compileAsync(scene, camera) : Promise.resolve();
+        compile
+            .catch((error) => {
+                // Not fatal - shaders compile on first render instead
+                if (import.meta.env.DEV) console.warn('[useRoomReady] Precompile failed', error);
+            })
+            .then(() => {
+                if (!cancelled) setIsReady(true);
+            });
+
+        return () => { cancelled = true; };
+    }, [rootRef, gl, scene, camera]);
+
+    useEffect(() => {
+        if (isReady) onReady?.();
+    }, [isReady, onReady]);
+
+    return isReady;
+};
+
+export default useRoomReady;
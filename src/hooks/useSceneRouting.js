@@ -0,0 +1,108 @@
+import { useEffect, useRef } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { useScene } from '../context/SceneContext';
+import { CORRIDOR_PATH, getScenePath, parseScenePath } from '../config/sceneRoutes';
+
+/**
+ * useSceneRouting Hook
+ *
+ * Keeps the address bar and SceneContext in sync both ways:
+ * - URL -> scene: a room path teleports into that room. On first load it
+ *   skips the entrance and opens the paper straight into the room.
+ *   Going back to the corridor path requests the room exit animation.
+ *   An item segment (/studio/yt-001) asks the room to open that item.
+ * - scene -> URL: entering a room or opening an item pushes a history entry,
+ *   leaving it pops that entry again - so browser Back/Forward follow the scene.
+ */
+const useSceneRouting = () => {
+    const location = useLocation();
+    const navigate = useNavigate();
+    const {
+        currentRoom,
+        hasEntered,
+        isInRoom,
+        isTeleporting,
+        activeItem,
+        pendingItem,
+        deepLinkTo,
+        teleportTo,
+        requestExit,
+        requestItem
+    } = useScene();
+
+    // Last path we acted on (or wrote ourselves) - prevents reacting to our own navigation
+    const syncedPath = useRef(null);
+    // Last path derived from the scene state
+    const scenePath = useRef(CORRIDOR_PATH);
+
+    // URL -> Scene (initial load, Back/Forward, programmatic navigation)
+    useEffect(() => {
+        const path = location.pathname;
+        if (syncedPath.current === path) return;
+
+        const isFirstSync = syncedPath.current === null;
+        syncedPath.current = path;
+
+        const { roomId, itemId } = parseScenePath(path);
+
+        if (roomId) {
+            if (roomId === currentRoom) {
+                // Same room - open (or close) the item
+                if (itemId !== activeItem) requestItem(roomId, itemId);
+                return;
+            }
+
+            if (!hasEntered) {
+                // Fresh visit - the preloader still covers the screen
+                deepLinkTo(roomId);
+
+                // Put the corridor underneath so Back exits the room instead of the site
+                if (isFirstSync) {
+                    navigate(CORRIDOR_PATH, { replace: true });
+                    navigate(path, { state: { from: CORRIDOR_PATH } });
+                }
+            } else {
+                // Forward (or a link) into a room - reuse the map teleport flow
+                teleportTo(roomId);
+            }
+
+            // The room picks this up once the visitor is inside
+            if (itemId) requestItem(roomId, itemId);
+            return;
+        }
+
+        if (path !== CORRIDOR_PATH) {
+            // Unknown path - normalize to the corridor
+            syncedPath.current = CORRIDOR_PATH;
+            navigate(CORRIDOR_PATH, { replace: true });
+        }
+
+        if (isInRoom) {
+            // Back from a room - same exit animation as the on-screen back button
+            requestExit();
+        }
+    }, [location.pathname, currentRoom, activeItem, hasEntered, isInRoom, deepLinkTo, teleportTo, requestExit, requestItem, navigate]);
+
+    // Scene -> URL
+    useEffect(() => {
+        // Mid-teleport or with an item on its way the URL already points at the destination
+        if (isTeleporting || pendingItem) return;
+
+        const path = getScenePath(currentRoom, activeItem);
+        if (scenePath.current === path) return;
+        scenePath.current = path;
+
+        if (syncedPath.current === path) return;
+        syncedPath.current = path;
+
+        if (location.state?.from === path) {
+            // Left the room (or item) this entry was pushed from - pop back to it
+            // so Forward can re-enter
+            navigate(-1);
+        } else {
+            navigate(path, { state: { from: location.pathname } });
+        }
+    }, [currentRoom, activeItem, isTeleporting, pendingItem, location.state, location.pathname, navigate]);
+};
+
+export default useSceneRouting;
@@ -0,0 +1,101 @@
+import { useRef, useEffect, useCallback, useEffectEvent } from 'react';
+import { useScene } from '../context/SceneContext';
+import { SCENE_STATES } from '../context/sceneMachine';
+import { SEGMENT_LENGTH } from '../components/canvas/corridor/CorridorSegment';
+
+const STORAGE_KEY = 'scene_session';
+
+// Only a reload brings the visitor back - a fresh visit in the same tab starts over
+const isReload = () => {
+    const [navigation] = performance.getEntriesByType?.('navigation') ?? [];
+    return navigation?.type === 'reload';
+};
+
+// Saved record, or null if missing / unusable
+const readSession = () => {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem(STORAGE_KEY));
+        if (!saved || !Number.isFinite(saved.z)) return null;
+
+        // Segment has to match Z (same formula as useInfiniteCamera) - otherwise the record is stale
+        if (saved.segment !== Math.floor((10 - saved.z) / SEGMENT_LENGTH)) return null;
+
+        return saved;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * useSessionPosition Hook
+ *
+ * Remembers where the visitor is (corridor Z + segment, open room and item)
+ * in sessionStorage and brings them back there after a reload.
+ * - Corridor: camera jumps straight to the saved Z, the Preloader's tear reveals it.
+ * - Room: same path as a deep link - paper tear, door, then the item reopens.
+ *
+ * restoreSession() is called by Experience while still at the entrance;
+ * returns true if it took over from the entrance sequence.
+ */
+const useSessionPosition = ({ getCameraZ, getCurrentSegment, jumpTo }) => {
+    const {
+        sceneState,
+        currentRoom,
+        activeItem,
+        markEntered,
+        deepLinkTo,
+        requestItem
+    } = useScene();
+
+    const savedSession = useRef(undefined);
+
+    const restoreSession = useCallback(() => {
+        // Read once - later calls (e.g. skip intro toggled) find nothing
+        if (savedSession.current === undefined) {
+            savedSession.current = isReload() ? readSession() : null;
+        }
+        const saved = savedSession.current;
+        savedSession.current = null;
+        if (!saved) return false;
+
+        if (saved.room) {
+            deepLinkTo(saved.room);
+            if (saved.item) requestItem(saved.room, saved.item);
+        } else {
+            jumpTo(saved.z);
+            markEntered();
+        }
+        return true;
+    }, [deepLinkTo, requestItem, jumpTo, markEntered]);
+
+    const saveSession = useEffectEvent(() => {
+        // Nothing worth restoring before the visitor got past the entrance
+        if (sceneState === SCENE_STATES.ENTRANCE) return;
+
+        try {
+            sessionStorage.setItem(STORAGE_KEY, JSON.stringify({
+                z: getCameraZ(),
+                segment: getCurrentSegment(),
+                room: currentRoom,
+                item: currentRoom ? activeItem : null
+            }));
+        } catch {
+            // Storage blocked / full - a reload just starts at the entrance
+        }
+    });
+
+    // Room / item changes are saved right away, corridor Z when the page goes away
+    useEffect(() => {
+        saveSession();
+    }, [sceneState, currentRoom, activeItem]);
+
+    useEffect(() => {
+        const handlePageHide = () => saveSession();
+        window.addEventListener('pagehide', handlePageHide);
+        return () => window.removeEventListener('pagehide', handlePageHide);
+    }, []);
+
+    return { restoreSession };
+};
+
+export default useSessionPosition;
@@ -0,0 +1,52 @@
+import { useState, useCallback } from 'react';
+
+const STORAGE_KEY = 'skip_intro';
+const QUERY_PARAM = 'skipIntro';
+
+// Storage blocked (privacy settings) - the preference just isn't remembered
+const storePreference = (skip) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, skip);
+    } catch {
+        // Not remembered
+    }
+};
+
+// ?skipIntro / ?skipIntro=1 skips (and remembers), ?skipIntro=0 plays the intro again (and forgets)
+const readInitialPreference = () => {
+    const param = new URLSearchParams(window.location.search).get(QUERY_PARAM);
+
+    if (param !== null) {
+        const skip = param !== '0' && param !== 'false';
+        storePreference(skip);
+        return skip;
+    }
+
+    try {
+        return localStorage.getItem(STORAGE_KEY) === 'true';
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * useSkipIntro Hook
+ *
+ * Returning-visitor fast path - decides whether the entrance doors
+ * and their fly-through are skipped.
+ * Sources: query parameter, remembered localStorage preference,
+ * or the Preloader's "skip intro" button (requestSkip).
+ */
+const useSkipIntro = () => {
+    const [skipIntro, setSkipIntro] = useState(readInitialPreference);
+
+    // remember = keep skipping on future visits
+    const requestSkip = useCallback((remember = true) => {
+        if (remember) storePreference(true);
+        setSkipIntro(true);
+    }, []);
+
+    return { skipIntro, requestSkip };
+};
+
+export default useSkipIntro;
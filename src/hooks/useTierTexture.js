@@ -0,0 +1,72 @@
+import { useState, useEffect, useLayoutEffect, useRef } from 'react';
+import { useThree } from '@react-three/fiber';
+import { useTexture } from '@react-three/drei';
+import { usePerformance } from '../context/PerformanceContext';
+import { resolveTextures, loadTextureVariants, releaseTextureVariants, listTextures } from '../loading/textureVariants';
+
+/**
+ * useTierTexture Hook
+ *
+ * Drop-in for drei's useTexture (path, array or { key: path }) that loads the
+ * variant matching the tier's textureQuality (see loading/textureVariants).
+ * The first render suspends like useTexture and shares its cache (preload, warm-ups).
+ * When the tier changes later (downgradeTier) the new variant loads in the background
+ * and is swapped in once uploaded - no Suspense fallback, the scene stays mounted.
+ * Back at the first quality the original textures are returned again.
+ * Swapped-in variants are released (GPU memory freed) once replaced or unmounted;
+ * the mount textures belong to useTexture's cache and are left alone.
+ */
+const useTierTexture = (input) => {
+    const gl = useThree((state) => state.gl);
+    const { settings } = usePerformance();
+    const quality = settings.textureQuality;
+
+    // Quality this component mounted with - the one loaded through Suspense
+    const [mountQuality] = useState(quality);
+    const mountUrls = resolveTextures(input, mountQuality);
+    const textures = useTexture(mountUrls);
+
+    // Latest textures for the swap to copy settings from (object inputs come back as a new map each render)
+    const texturesRef = useRef(textures);
+    useLayoutEffect(() => {
+        texturesRef.current = textures;
+    });
+
+    // Strings, so inline array / object inputs don't retrigger the swap every render
+    const mountKey = JSON.stringify(mountUrls);
+    const currentKey = JSON.stringify(resolveTextures(input, quality));
+    const [swap, setSwap] = useState(null); // { key, textures }
+
+    useEffect(() => {
+        if (currentKey === mountKey) return;
+
+        const urls = JSON.parse(currentKey);
+        let cancelled = false;
+        let loaded = false;
+        loadTextureVariants(urls, texturesRef.current)
+            .then((variants) => {
+                loaded = true;
+                // Tier changed again (or unmounted) while loading - nobody will show these
+                if (cancelled) {
+                    releaseTextureVariants(urls);
+                    return;
+                }
+                listTextures(variants).forEach((texture) => gl.initTexture(texture));
+                setSwap({ key: currentKey, textures: variants });
+            })
+            .catch((error) => {
+                // Not fatal - keep showing the textures we have
+                if (import.meta.env.DEV) console.warn('[useTierTexture] Variant swap failed', error);
+            });
+
+        // By the time this runs the render has already moved off these variants
+        return () => {
+            cancelled = true;
+            if (loaded) releaseTextureVariants(urls);
+        };
+    }, [currentKey, mountKey, gl]);
+
+    return swap?.key === currentKey && currentKey !== mountKey ? swap.textures : textures;
+};
+
+export default useTierTexture;
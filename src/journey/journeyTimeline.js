@@ -0,0 +1,67 @@
+/**
+ * Journey Timeline - recording format for the visitor journey recorder
+ *
+ * One recorded session, kept compact as arrays (times in ms since start):
+ * - camera: [t, px, py, pz, qx, qy, qz, qw]        sampled every CAMERA_SAMPLE_INTERVAL
+ * - input:  [t, 'wheel', deltaY]                    window wheel
+ *           [t, 'move' | 'click', x, y]             pointer on the canvas, x/y normalized 0..1
+ * - scene:  [t, event, payload, from, to]           SceneContext transitions
+ *           [t, 'ITEM', { roomId, itemId }]         room content opened / closed
+ */
+
+export const JOURNEY_VERSION = 1;
+
+export const CAMERA_SAMPLE_INTERVAL = 50; // 20 samples per second
+export const POINTER_SAMPLE_INTERVAL = 50; // pointermove throttle
+
+const round = (value) => Math.round(value * 1000) / 1000;
+
+// start: { state, room, path } - replay only starts from the same place
+export const createRecording = (start) => ({
+    version: JOURNEY_VERSION,
+    recordedAt: new Date().toISOString(),
+    duration: 0,
+    start,
+    camera: [],
+    input: [],
+    scene: [],
+});
+
+export const cameraSample = (t, camera) => [
+    Math.round(t),
+    ...camera.position.toArray().map(round),
+    ...camera.quaternion.toArray().map(round),
+];
+
+// Accepts a JSON string or an already parsed object - throws on anything else
+export const parseRecording = (json) => {
+    const data = typeof json === 'string' ? JSON.parse(json) : json;
+
+    if (data?.version !== JOURNEY_VERSION) {
+        throw new Error(`Unsupported journey recording version: ${data?.version}`);
+    }
+    if (!data.start || !Array.isArray(data.camera) || !Array.isArray(data.input) || !Array.isArray(data.scene)) {
+        throw new Error('Invalid journey recording');
+    }
+
+    return data;
+};
+
+export const downloadRecording = (recording) => {
+    const blob = new Blob([JSON.stringify(recording)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `journey-${recording.recordedAt.replace(/[:.]/g, '-')}.json`;
+    link.click();
+
+    URL.revokeObjectURL(url);
+};
+
+// Index of the last entry at or before t, searching forward from `from`
+export const seekEntry = (entries, t, from = 0) => {
+    let index = Math.max(0, from);
+    while (index + 1 < entries.length && entries[index + 1][0] <= t) index++;
+    return index;
+};
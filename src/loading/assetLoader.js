@@ -0,0 +1,156 @@
+import { DefaultLoadingManager } from 'three';
+import { track, ANALYTICS_EVENTS } from '../analytics/eventBus';
+
+/**
+ * Asset Loader - byte-accurate download of the preload textures
+ *
+ * Every asset is fetched and its body streamed, so progress is counted in bytes
+ * against Content-Length (per group and overall) instead of in finished items.
+ * Finished downloads are handed to three's loaders through the default LoadingManager
+ * URL modifier - useTexture(url) decodes the blob from memory, no second request.
+ * A failed asset is retried once; if it still fails it's swapped for a blank pixel
+ * (the scene never waits on it) and listed in the snapshot for the Preloader.
+ * Plain module (no React) - App starts it at import time, components read it
+ * with useSyncExternalStore(subscribeAssetProgress, getAssetProgress).
+ *
+ * Snapshot: { loaded, total, done, failed: [url], groups: { [name]: { loaded, total, done } } }
+ */
+
+// Size assumed until an asset's headers arrive (or when there's no Content-Length)
+const ESTIMATED_SIZE = 150 * 1024;
+const MAX_ATTEMPTS = 2; // First try + one retry
+// Stand-in for textures that couldn't be loaded
+const BLANK_PIXEL = 'data:image/png;base64,iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAQAAAC1HAwCAAAAC0lEQVR42mP8/x8AAwMCAO+ip1sAAAAASUVORK5CYII=';
+
+// url -> { group, status: 'pending' | 'loading' | 'done' | 'failed', loaded, size }
+const assets = new Map();
+// url -> object URL (or BLANK_PIXEL) served to three's loaders
+const servedURLs = new Map();
+const listeners = new Set();
+
+DefaultLoadingManager.setURLModifier((url) => servedURLs.get(url) ?? url);
+
+// Compressed responses can stream more bytes than Content-Length says
+const assetSize = (asset) => Math.max(asset.size ?? ESTIMATED_SIZE, asset.loaded);
+
+const assetLoaded = (asset) => {
+    if (asset.status === 'pending') return 0;
+    if (asset.status === 'loading') return asset.loaded;
+    return assetSize(asset); // Failed ones count as finished so the bar never sticks
+};
+
+const isSettled = (asset) => asset.status === 'done' || asset.status === 'failed';
+
+const buildSnapshot = () => {
+    const groups = {};
+    const failed = [];
+    let loaded = 0;
+    let total = 0;
+
+    assets.forEach((asset, url) => {
+        const group = groups[asset.group] ?? (groups[asset.group] = { loaded: 0, total: 0, done: true });
+        group.loaded += assetLoaded(asset);
+        group.total += assetSize(asset);
+        group.done = group.done && isSettled(asset);
+
+        loaded += assetLoaded(asset);
+        total += assetSize(asset);
+        if (asset.status === 'failed') failed.push(url);
+    });
+
+    return { loaded, total, done: [...assets.values()].every(isSettled), failed, groups };
+};
+
+let snapshot = buildSnapshot();
+
+const emit = () => {
+    snapshot = buildSnapshot();
+    listeners.forEach((listener) => listener());
+};
+
+// Stream the body, counting bytes as they arrive
+const download = async (url, asset) => {
+    const response = await fetch(url);
+    if (!response.ok) throw new Error(`${url}: ${response.status}`);
+
+    const length = Number(response.headers.get('Content-Length'));
+    asset.size = length > 0 ? length : null;
+
+    if (!response.body) {
+        const blob = await response.blob();
+        asset.loaded = blob.size;
+        emit();
+        return blob;
+    }
+
+    const reader = response.body.getReader();
+    const chunks = [];
+
+    for (;;) {
+        const { done, value } = await reader.read();
+        if (done) break;
+        chunks.push(value);
+        asset.loaded += value.length;
+        emit();
+    }
+
+    return new Blob(chunks, { type: response.headers.get('Content-Type') ?? '' });
+};
+
+const loadAsset = async (url) => {
+    const asset = assets.get(url);
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        asset.status = 'loading';
+        asset.loaded = 0;
+        emit();
+
+        try {
+            const blob = await download(url, asset);
+            servedURLs.set(url, URL.createObjectURL(blob));
+            asset.status = 'done';
+            emit();
+            return;
+        } catch (error) {
+            if (import.meta.env.DEV) console.warn(`[AssetLoader] ${url} failed (attempt ${attempt}/${MAX_ATTEMPTS})`, error);
+        }
+    }
+
+    servedURLs.set(url, BLANK_PIXEL);
+    asset.status = 'failed';
+    track(ANALYTICS_EVENTS.ASSET_FAILED, { url, group: asset.group });
+    emit();
+};
+
+// { groupName: [url, ...] } - resolves once every asset is done or failed
+export const loadAssetGroups = (groups) => {
+    const urls = [];
+
+    Object.entries(groups).forEach(([group, groupUrls]) => {
+        groupUrls.forEach((url) => {
+            if (assets.has(url)) return;
+            assets.set(url, { group, status: 'pending', loaded: 0, size: null });
+            urls.push(url);
+        });
+    });
+
+    emit();
+    return Promise.all(urls.map(loadAsset));
+};
+
+// Once the textures are decoded the blobs aren't needed - later loads go to the network again
+// (failed ones keep their blank pixel so they don't throw on a second try)
+export const releaseAssets = () => {
+    servedURLs.forEach((served, url) => {
+        if (served === BLANK_PIXEL) return;
+        URL.revokeObjectURL(served);
+        servedURLs.delete(url);
+    });
+};
+
+export const subscribeAssetProgress = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+export const getAssetProgress = () => snapshot;
@@ -0,0 +1,104 @@
+import { TextureLoader } from 'three';
+import manifest from '../config/assetManifest.json';
+
+/**
+ * Texture Variants - pick the texture size matching the tier's textureQuality
+ *
+ * convert-textures.js writes full / half / quarter WebPs (name.webp, name.half.webp, name.quarter.webp);
+ * scan-assets.js records which variants exist next to each referenced asset in assetManifest.json.
+ * Assets without variants always resolve to their own path, so nothing breaks before the pipeline has run.
+ *
+ * Inputs have the same shapes useTexture takes: a path, an array of paths or a { key: path } map.
+ * Plain module (no React) - useTierTexture, TextureUpload, roomPrefetch and App's preload go through it.
+ */
+
+// Preferred variants per textureQuality, first available wins (full size otherwise)
+const QUALITY_VARIANTS = {
+    high: [],
+    medium: ['half'],
+    low: ['quarter', 'half'],
+};
+
+// bird.webp + half -> bird.half.webp, next to the full-size file (convert-textures.js naming)
+export const variantPath = (assetPath, variant) => assetPath.replace(/\.[^./]+$/, `.${variant}.webp`);
+
+export const resolveTextureUrl = (url, quality) => {
+    const available = manifest.assets[url]?.variants ?? [];
+    const variant = (QUALITY_VARIANTS[quality] ?? []).find((name) => available.includes(name));
+    return variant ? variantPath(url, variant) : url;
+};
+
+// Same shape in, same shape out
+const mapInput = (input, fn) => {
+    if (typeof input === 'string') return fn(input);
+    if (Array.isArray(input)) return input.map((value, index) => fn(value, index));
+    return Object.fromEntries(Object.entries(input).map(([key, value]) => [key, fn(value, key)]));
+};
+
+export const resolveTextures = (input, quality) => mapInput(input, (url) => resolveTextureUrl(url, quality));
+
+// Copied onto a swapped-in variant so it samples exactly like the texture it replaces
+const copyTextureSettings = (from, to) => {
+    to.colorSpace = from.colorSpace;
+    to.wrapS = from.wrapS;
+    to.wrapT = from.wrapT;
+    to.repeat.copy(from.repeat);
+    to.offset.copy(from.offset);
+    to.center.copy(from.center);
+    to.rotation = from.rotation;
+    to.flipY = from.flipY;
+    to.minFilter = from.minFilter;
+    to.magFilter = from.magFilter;
+    to.anisotropy = from.anisotropy;
+    to.generateMipmaps = from.generateMipmaps;
+    to.needsUpdate = true;
+};
+
+const loader = new TextureLoader();
+// url -> { promise: Promise<Texture>, users }, shared like useTexture's cache (same url -> same texture)
+const variantCache = new Map();
+
+const acquireVariant = (url) => {
+    if (!variantCache.has(url)) {
+        const entry = { promise: loader.loadAsync(url), users: 0 };
+        entry.promise.catch(() => variantCache.delete(url)); // Let a later tier change retry
+        variantCache.set(url, entry);
+    }
+    const entry = variantCache.get(url);
+    entry.users++;
+    return entry.promise;
+};
+
+// Counterpart of loadTextureVariants - the last user frees the texture's GPU memory and drops it from the cache
+export const releaseTextureVariants = (urls) => {
+    mapInput(urls, (url) => {
+        const entry = variantCache.get(url);
+        if (!entry || --entry.users > 0) return;
+        variantCache.delete(url);
+        entry.promise.then((texture) => texture.dispose());
+    });
+};
+
+// Load `urls` outside Suspense (for runtime swaps), settings copied from the matching `current` textures
+// Every successful call needs a releaseTextureVariants(urls) once the textures are no longer shown
+export const loadTextureVariants = async (urls, current) => {
+    const pending = mapInput(urls, async (url, key) => {
+        const texture = await acquireVariant(url);
+        copyTextureSettings(key === undefined ? current : current[key], texture);
+        return texture;
+    });
+
+    try {
+        if (typeof urls === 'string') return await pending;
+        if (Array.isArray(urls)) return await Promise.all(pending);
+
+        const entries = await Promise.all(Object.entries(pending).map(async ([key, promise]) => [key, await promise]));
+        return Object.fromEntries(entries);
+    } catch (error) {
+        releaseTextureVariants(urls); // The variants that did load
+        throw error;
+    }
+};
+
+// Every texture in a loaded input (texture, array or map)
+export const listTextures = (textures) => (textures.isTexture ? [textures] : Object.values(textures));
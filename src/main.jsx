@@ -1,6 +1,9 @@
 import { StrictMode } from 'react'
 import { createRoot } from 'react-dom/client'
 import App from './App.jsx'
+import setupAnalytics from './analytics/setupAnalytics'
+
+setupAnalytics()
 
 createRoot(document.getElementById('root')).render(
   <StrictMode>
@@ -0,0 +1,228 @@
+import * as THREE from 'three';
+import { TIERS, GPU_BENCHMARK, detectDeviceTier, lowerTier } from '../config/performance';
+
+/**
+ * GPU Benchmark - measure the GPU once per GPU + browser
+ *
+ * Renders a short corridor slice (textured floor / walls / ceiling, alpha-tested cut-outs
+ * like the doors and doodles, standard materials, two lights with a shadow map, fog) into an
+ * offscreen canvas at the window's size, one frame per animation frame so the Preloader keeps
+ * moving. One pixel is read back after each frame, so the timing includes the GPU work.
+ * The median frame time maps to a tier (GPU_BENCHMARK in config/performance).
+ * The renderer string comes from WEBGL_debug_renderer_info; software rasterizers are LOW right away.
+ *
+ * Results are cached in localStorage per renderer + user agent - later visits with the same GPU
+ * and browser skip the benchmark, and estimateStartingTier() can use them before React mounts.
+ * Plain module (no React) - PerformanceContext runs it while the Preloader is up.
+ */
+
+const STORAGE_KEY = 'gpu_tier';
+const SOFTWARE_RENDERER = /swiftshader|llvmpipe|softpipe|software|basic render/i;
+// Largest drawing buffer measured (the real canvas is capped at dpr 2 as well)
+const MAX_PIXELS = 1920 * 1080;
+// Background tabs don't get animation frames - don't wait on them
+const FRAME_WAIT_MS = 100;
+
+// { [renderer | userAgent]: { tier, frameMs, at } }
+const readCache = () => {
+    try {
+        return JSON.parse(localStorage.getItem(STORAGE_KEY)) ?? {};
+    } catch {
+        return {};
+    }
+};
+
+const writeCache = (key, entry) => {
+    try {
+        localStorage.setItem(STORAGE_KEY, JSON.stringify({ ...readCache(), [key]: entry }));
+    } catch {
+        // Private mode / quota - the benchmark just runs again next visit
+    }
+};
+
+const browserKey = () => navigator.userAgent;
+const cacheKey = (renderer) => `${renderer} | ${browserKey()}`;
+
+// Latest cached tier for this browser - the GPU can't be named without a WebGL context,
+// so this is a guess measureGpuTier() confirms
+export const getCachedGpuTier = () => {
+    const [latest] = Object.entries(readCache())
+        .filter(([key]) => key.endsWith(` | ${browserKey()}`))
+        .map(([, entry]) => entry)
+        .sort((a, b) => b.at - a.at);
+
+    return latest?.tier ?? null;
+};
+
+// Device heuristics + cached GPU result - synchronous, for the first frames and App's preload
+export const estimateStartingTier = () => lowerTier(detectDeviceTier().tier, getCachedGpuTier() ?? TIERS.HIGH);
+
+const tierFromFrameTime = (frameMs) => {
+    if (frameMs <= GPU_BENCHMARK.highMs) return TIERS.HIGH;
+    if (frameMs <= GPU_BENCHMARK.mediumMs) return TIERS.MEDIUM;
+    return TIERS.LOW;
+};
+
+// Stand-in for the paper / sketch textures - no network during the benchmark.
+// Every 7th texel is transparent so the cut-outs exercise alpha test.
+const createSketchTexture = (size) => {
+    const data = new Uint8Array(size * size * 4);
+    for (let i = 0; i < data.length; i += 4) {
+        const shade = 200 + ((i * 2654435761) % 56);
+        data[i] = shade;
+        data[i + 1] = shade;
+        data[i + 2] = shade;
+        data[i + 3] = (i / 4) % 7 === 0 ? 0 : 255;
+    }
+
+    const texture = new THREE.DataTexture(data, size, size);
+    texture.wrapS = THREE.RepeatWrapping;
+    texture.wrapT = THREE.RepeatWrapping;
+    texture.minFilter = THREE.LinearMipmapLinearFilter;
+    texture.generateMipmaps = true;
+    texture.needsUpdate = true;
+    return texture;
+};
+
+// Roughly one corridor segment as the scene draws it (see Experience + CorridorSegment)
+const buildCorridorSlice = () => {
+    const scene = new THREE.Scene();
+    scene.background = new THREE.Color('#fafafa');
+    scene.fog = new THREE.Fog('#fafafa', 15, 50);
+
+    scene.add(new THREE.AmbientLight('#ffffff', 2.2));
+    const keyLight = new THREE.DirectionalLight('#ffffff', 0.8);
+    keyLight.position.set(5, 10, 5);
+    keyLight.castShadow = true;
+    keyLight.shadow.mapSize.set(1024, 1024);
+    scene.add(keyLight);
+    const fillLight = new THREE.DirectionalLight('#ffffff', 0.4);
+    fillLight.position.set(-5, 8, -10);
+    scene.add(fillLight);
+
+    const texture = createSketchTexture(512);
+    const plane = new THREE.PlaneGeometry(1, 1);
+    const surface = new THREE.MeshStandardMaterial({ map: texture, roughness: 0.9 });
+    const cutout = new THREE.MeshStandardMaterial({ map: texture, transparent: true, alphaTest: 0.5, side: THREE.DoubleSide });
+
+    const addPlane = (material, [width, height], position, rotation) => {
+        const mesh = new THREE.Mesh(plane, material);
+        mesh.scale.set(width, height, 1);
+        mesh.position.set(...position);
+        mesh.rotation.set(...rotation);
+        mesh.receiveShadow = true;
+        mesh.castShadow = material === cutout;
+        scene.add(mesh);
+    };
+
+    // Floor, ceiling, walls
+    addPlane(surface, [6, 40], [0, -1.5, -20], [-Math.PI / 2, 0, 0]);
+    addPlane(surface, [6, 40], [0, 2.5, -20], [Math.PI / 2, 0, 0]);
+    addPlane(surface, [40, 4], [-3, 0.5, -20], [0, Math.PI / 2, 0]);
+    addPlane(surface, [40, 4], [3, 0.5, -20], [0, -Math.PI / 2, 0]);
+
+    // Doors, frames, doodles - cut-outs along both walls
+    for (let i = 0; i < 24; i++) {
+        const side = i % 2 === 0 ? -1 : 1;
+        addPlane(cutout, [1.2, 2.2], [side * 2.4, -0.4, -2 - i * 1.6], [0, -side * Math.PI / 2, 0]);
+    }
+
+    const dispose = () => {
+        plane.dispose();
+        surface.dispose();
+        cutout.dispose();
+        texture.dispose();
+    };
+
+    return { scene, dispose };
+};
+
+const nextFrame = () => new Promise((resolve) => {
+    const timeout = setTimeout(resolve, FRAME_WAIT_MS);
+    requestAnimationFrame(() => {
+        clearTimeout(timeout);
+        resolve();
+    });
+});
+
+// Median ms per frame, or null if it ran past the timeout
+const runBenchmark = async (renderer) => {
+    const dpr = Math.min(window.devicePixelRatio || 1, 2);
+    const scale = Math.min(1, Math.sqrt(MAX_PIXELS / (window.innerWidth * window.innerHeight * dpr * dpr)));
+    renderer.setPixelRatio(1);
+    renderer.setSize(Math.round(window.innerWidth * dpr * scale), Math.round(window.innerHeight * dpr * scale), false);
+    renderer.shadowMap.enabled = true;
+
+    const camera = new THREE.PerspectiveCamera(60, window.innerWidth / window.innerHeight, 0.1, 150);
+    camera.position.set(0, 0.2, 0);
+
+    const { scene, dispose } = buildCorridorSlice();
+    const gl = renderer.getContext();
+    const pixel = new Uint8Array(4);
+    const deadline = performance.now() + GPU_BENCHMARK.timeoutMs;
+    const times = [];
+
+    try {
+        for (let frame = 0; frame < GPU_BENCHMARK.warmupFrames + GPU_BENCHMARK.frames; frame++) {
+            await nextFrame();
+            if (performance.now() > deadline) return null;
+
+            // Walk down the slice so the frames aren't identical
+            camera.position.z = -frame * 0.4;
+
+            const start = performance.now();
+            renderer.render(scene, camera);
+            gl.readPixels(0, 0, 1, 1, gl.RGBA, gl.UNSIGNED_BYTE, pixel); // Wait for the GPU
+            if (frame >= GPU_BENCHMARK.warmupFrames) times.push(performance.now() - start);
+        }
+    } finally {
+        dispose();
+    }
+
+    times.sort((a, b) => a - b);
+    return times[Math.floor(times.length / 2)];
+};
+
+const measure = async () => {
+    let renderer;
+    try {
+        renderer = new THREE.WebGLRenderer({ canvas: document.createElement('canvas'), antialias: true, powerPreference: 'high-performance' });
+    } catch {
+        return null; // No WebGL here - device heuristics only
+    }
+
+    try {
+        const gl = renderer.getContext();
+        const info = gl.getExtension('WEBGL_debug_renderer_info');
+        const rendererName = String(gl.getParameter(info ? info.UNMASKED_RENDERER_WEBGL : gl.RENDERER));
+        const key = cacheKey(rendererName);
+
+        const cached = readCache()[key];
+        if (cached) return { ...cached, renderer: rendererName, cached: true };
+
+        let result;
+        if (SOFTWARE_RENDERER.test(rendererName)) {
+            result = { tier: TIERS.LOW, frameMs: null };
+        } else {
+            const frameMs = await runBenchmark(renderer);
+            if (frameMs === null) return null;
+            result = { tier: tierFromFrameTime(frameMs), frameMs };
+        }
+
+        writeCache(key, { ...result, at: Date.now() });
+        return { ...result, renderer: rendererName, cached: false };
+    } catch (error) {
+        if (import.meta.env.DEV) console.warn('[GpuBenchmark] Failed', error);
+        return null;
+    } finally {
+        renderer.dispose();
+        renderer.forceContextLoss();
+    }
+};
+
+// { tier, frameMs, renderer, cached } or null (no WebGL / timed out) - runs once per page load
+let measurement = null;
+export const measureGpuTier = () => {
+    measurement ??= measure();
+    return measurement;
+};
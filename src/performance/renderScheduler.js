@@ -0,0 +1,52 @@
+import { RENDER_SCHEDULER } from '../config/performance';
+
+/**
+ * Render Scheduler - how many frames the Canvas needs right now
+ *
+ * The Canvas runs with frameloop="demand" and RenderScheduler (components/canvas) asks
+ * for frames at the rate decided here:
+ * - every animation frame while awake - input, a scene / overlay change (activeMs),
+ *   camera movement or a running GSAP animation (motionMs), or while the scene is busy
+ *   (loading, room transitions, teleports)
+ * - otherwise the highest rate an ambient loop registered (Doodles float, birds, clouds...)
+ *   capped at idleMaxFps, or at overlayMaxFps while a GlobalOverlay card covers the scene
+ * - nothing registered -> no frames until the next wake
+ * Plain module (no React) - useAmbientActivity registers, TierMonitor checks isFullRate().
+ */
+
+// id -> fps of each mounted ambient loop
+const ambientLoops = new Map();
+let nextId = 0;
+
+let awakeUntil = 0;
+let targetFps = Infinity;
+
+// Returns the unregister function
+export const registerAmbient = (fps) => {
+    const id = nextId++;
+    ambientLoops.set(id, fps);
+    return () => ambientLoops.delete(id);
+};
+
+// Full rate for the next `ms` (never shortens an earlier wake)
+export const wake = (ms = RENDER_SCHEDULER.activeMs) => {
+    awakeUntil = Math.max(awakeUntil, performance.now() + ms);
+};
+
+// Infinity = every animation frame, 0 = none - called once per tick by RenderScheduler
+export const updateTargetFps = (now, { busy, overlayOpen }) => {
+    if (busy || now < awakeUntil) {
+        targetFps = Infinity;
+        return targetFps;
+    }
+
+    let ambientFps = 0;
+    ambientLoops.forEach((fps) => {
+        ambientFps = Math.max(ambientFps, fps);
+    });
+    targetFps = Math.min(ambientFps, overlayOpen ? RENDER_SCHEDULER.overlayMaxFps : RENDER_SCHEDULER.idleMaxFps);
+    return targetFps;
+};
+
+// Throttled frames say nothing about what the device can do (TierMonitor skips them)
+export const isFullRate = () => targetFps === Infinity;
@@ -0,0 +1,74 @@
+import { useTexture } from '@react-three/drei';
+import { getRoom } from '../config/rooms';
+import { resolveTextures } from '../loading/textureVariants';
+
+/**
+ * Room Prefetch - load a room's JS chunk and textures before its door is clicked
+ *
+ * prefetchRoom(roomId, { textures, quality }) is safe to call every frame - each part starts once.
+ * Textures are downloaded first (so completion is known), then handed to useTexture.preload
+ * with the same input the room uses, resolved to the tier's variant (textureQuality),
+ * so the room's useTierTexture finds them in the loader cache.
+ * Plain module (no React) - useRoomPrefetch decides when, PrefetchDebug shows the status.
+ *
+ * Status per room: { chunk, textures } - undefined (not started) | 'loading' | 'done' | 'failed'
+ */
+
+const listeners = new Set();
+let statuses = {};
+
+const setStatus = (roomId, part, value) => {
+    statuses = { ...statuses, [roomId]: { ...statuses[roomId], [part]: value } };
+    listeners.forEach((listener) => listener());
+};
+
+const track = (roomId, part, promise) => {
+    setStatus(roomId, part, 'loading');
+    promise.then(
+        () => setStatus(roomId, part, 'done'),
+        (error) => {
+            // Not fatal - the room loads on click as before
+            if (import.meta.env.DEV) console.warn(`[Prefetch] ${roomId} ${part} failed`, error);
+            setStatus(roomId, part, 'failed');
+        }
+    );
+};
+
+// Download at low priority, then decode into the loader cache (from HTTP cache now)
+const warmTexture = async (input) => {
+    const urls = Array.isArray(input) ? input : [input];
+
+    await Promise.all(urls.map(async (url) => {
+        const response = await fetch(url, { priority: 'low' });
+        if (!response.ok) throw new Error(`${url}: ${response.status}`);
+        await response.blob();
+    }));
+
+    useTexture.preload(input);
+};
+
+export const prefetchRoom = (roomId, { textures = true, quality = 'high' } = {}) => {
+    const room = getRoom(roomId);
+    if (!room) return;
+
+    const status = statuses[roomId] ?? {};
+
+    if (!status.chunk) {
+        track(roomId, 'chunk', room.load());
+    }
+
+    if (textures && !status.textures && room.textures.length > 0) {
+        track(roomId, 'textures', Promise.all(room.textures.map((input) => warmTexture(resolveTextures(input, quality)))));
+    }
+};
+
+// Data saver on - don't spend bandwidth on rooms the visitor may never open
+export const isSaveDataOn = () => navigator.connection?.saveData === true;
+
+// useSyncExternalStore pair for the dev overlay
+export const subscribeRoomPrefetch = (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+};
+
+export const getRoomPrefetchStatus = () => statuses;
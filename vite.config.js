@@ -1,8 +1,26 @@
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 import viteCompression from 'vite-plugin-compression';
+import { scanAssets, formatScanReport } from './scan-assets.js';
+
+// Check assets before bundling - read-only, the manifest is only written by `npm run assets`
+const assetCheck = () => ({
+  name: 'asset-check',
+  apply: 'build',
+  async buildStart() {
+    const result = await scanAssets();
+    console.log(formatScanReport(result));
+
+    if (result.missing.length > 0) {
+      this.error(`${result.missing.length} referenced asset(s) missing from public/ - see the list above`);
+    }
+    if (result.stale) {
+      this.error('src/config/assetManifest.json is out of date - run `npm run assets` and commit it');
+    }
+  },
+});
 
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react(), viteCompression()],
+  plugins: [assetCheck(), react(), viteCompression()],
 })